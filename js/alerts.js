@@ -0,0 +1,398 @@
+/**
+ * alerts.js — NWS alert ranking, classification and the details panel
+ * - rankAlerts: severity, then urgency, then certainty (CAP vocabulary)
+ * - alertEventKind: warning / watch / advisory / statement, for color coding
+ * - openAlertPanel: in-app <dialog> with the full alert text
+ * - startAlertPolling: background refresh that notifies about new or upgraded
+ *   alerts (Notification API when permitted, plus an in-page toast)
+ */
+
+const ALERT_SEVERITY_ORDER  = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+const ALERT_URGENCY_ORDER   = ['Immediate', 'Expected', 'Future', 'Past', 'Unknown'];
+const ALERT_CERTAINTY_ORDER = ['Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown'];
+
+// Lower is more important; values outside the vocabulary sort last
+function capRank(order, value) {
+  const i = order.indexOf(value);
+  return i === -1 ? order.length : i;
+}
+
+function alertId(alert) {
+  const p = (alert && alert.properties) || {};
+  return alert.id || p.id || p['@id'] || '';
+}
+
+function compareAlerts(a, b) {
+  const pa = a.properties || {};
+  const pb = b.properties || {};
+  return (capRank(ALERT_SEVERITY_ORDER, pa.severity) - capRank(ALERT_SEVERITY_ORDER, pb.severity)) ||
+         (capRank(ALERT_URGENCY_ORDER, pa.urgency) - capRank(ALERT_URGENCY_ORDER, pb.urgency)) ||
+         (capRank(ALERT_CERTAINTY_ORDER, pa.certainty) - capRank(ALERT_CERTAINTY_ORDER, pb.certainty));
+}
+
+/** Returns a new array, most important alert first. */
+function rankAlerts(alerts) {
+  return (alerts || []).filter(a => a && a.properties).slice().sort(compareAlerts);
+}
+
+/** Classifies an alert by its event name ("Tornado Warning" -> "warning"). */
+function alertEventKind(alert) {
+  const event = ((alert && alert.properties && alert.properties.event) || '').toLowerCase();
+  if (/warning|emergency/.test(event)) return 'warning';
+  if (/watch/.test(event)) return 'watch';
+  if (/advisory/.test(event)) return 'advisory';
+  return 'statement';
+}
+
+function formatAlertTime(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  if (isNaN(d)) return '';
+  return d.toLocaleString(undefined, {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+  });
+}
+
+/**
+ * Builds the forecast.weather.gov hazards page for an alert, falling back to the
+ * API link. loc supplies the zone/county codes and coordinates.
+ */
+function buildAlertProductUrl(loc, alert) {
+  const p = alert.properties || {};
+
+  // Ensure location has countyFIPS and zoneCode set, using the point metadata if present in loc.point
+  if (!loc.countyFIPS && loc.point && loc.point.properties && loc.point.properties.county) {
+    loc.countyFIPS = codeFromZoneUrl(loc.point.properties.county);
+  }
+  if (!loc.zoneCode && loc.point && loc.point.properties && loc.point.properties.forecastZone) {
+    loc.zoneCode = codeFromZoneUrl(loc.point.properties.forecastZone);
+  }
+
+  // Always prefer location object for NWS codes
+  const zoneCode = loc.zoneCode || p.zoneId || p.zone || (p.geocode && p.geocode.UGC && p.geocode.UGC[0]) || '';
+  const countyCode = loc.countyFIPS ||
+    ((p.geocode && Array.isArray(p.geocode.FIPS6) && p.geocode.FIPS6[0]) ? p.geocode.FIPS6[0] :
+      (typeof p.county === "string" && p.county.length > 0 ? codeFromZoneUrl(p.county) : ''));
+
+  const fireWxZone = zoneCode;
+  const localPlace1 = (loc.city ? `${loc.city} ${loc.state}` : loc.label) || "";
+  const product1 = p.event || p.headline || "Weather Alert";
+  const lat = loc.lat || '';
+  const lon = loc.lon || '';
+  function encode(val) { return encodeURIComponent(val || ''); }
+
+  if (zoneCode && countyCode && lat && lon) {
+    return `https://forecast.weather.gov/showsigwx.php?warnzone=${encode(zoneCode)}&warncounty=${encode(countyCode)}&firewxzone=${encode(fireWxZone)}&local_place1=${encode(localPlace1)}&product1=${encode(product1).replace(/%20/g, '+')}&lat=${encode(lat)}&lon=${encode(lon)}`;
+  }
+  return p['@id'] || p.id || p.link || p.url || "";
+}
+
+/**
+ * Compact, color-coded buttons for a cell; data-alert-id / data-col let the
+ * table's delegated click handler find the alert again.
+ */
+function renderAlertBadges(alerts, col) {
+  return alerts.map(a => {
+    const p = a.properties;
+    const kind = alertEventKind(a);
+    return `<button type="button" class="alert-badge alert-${kind}"
+      data-alert-id="${escapeHtml(alertId(a))}" data-col="${col}"
+      title="${escapeHtml(p.headline || p.event || 'Weather Alert')}">⚠️ ${escapeHtml(p.event || 'Alert')}</button>`;
+  }).join('');
+}
+
+function getAlertPanel() {
+  let panel = document.getElementById('alert-panel');
+  if (!panel) {
+    panel = document.createElement('dialog');
+    panel.id = 'alert-panel';
+    panel.className = 'alert-panel';
+    document.body.appendChild(panel);
+  }
+  if (!panel.dataset.bound) {
+    panel.dataset.bound = '1';
+    panel.addEventListener('click', (e) => {
+      // Close on the ✕ button or a click on the backdrop
+      if (e.target.closest('[data-action="close-alert"]') || e.target === panel) closeAlertPanel();
+    });
+  }
+  return panel;
+}
+
+function closeAlertPanel() {
+  const panel = document.getElementById('alert-panel');
+  if (!panel) return;
+  if (typeof panel.close === 'function') panel.close();
+  else panel.removeAttribute('open');
+}
+
+/** Shows every detail of one alert for one location. */
+function openAlertPanel(alert, loc) {
+  const panel = getAlertPanel();
+  const p = alert.properties || {};
+  const kind = alertEventKind(alert);
+  const place = (loc && (loc.label || loc.name)) || '';
+  const link = loc ? buildAlertProductUrl(loc, alert) : (p['@id'] || '');
+
+  const times = [
+    ['Effective', p.effective],
+    ['Onset', p.onset],
+    ['Expires', p.expires],
+    ['Ends', p.ends]
+  ].filter(([, v]) => v)
+    .map(([label, v]) => `<dt>${label}</dt><dd>${escapeHtml(formatAlertTime(v))}</dd>`)
+    .join('');
+
+  panel.innerHTML = `
+    <div class="alert-panel-header alert-${kind}">
+      <h2>${escapeHtml(p.event || 'Weather Alert')}</h2>
+      <button type="button" class="alert-panel-close" data-action="close-alert" aria-label="Close">✕</button>
+    </div>
+    <div class="alert-panel-body">
+      ${place ? `<p class="alert-place">${escapeHtml(place)}</p>` : ''}
+      ${p.headline ? `<p class="alert-headline">${escapeHtml(p.headline)}</p>` : ''}
+      <p class="alert-cap">
+        <span>Severity: ${escapeHtml(p.severity || 'Unknown')}</span>
+        <span>Urgency: ${escapeHtml(p.urgency || 'Unknown')}</span>
+        <span>Certainty: ${escapeHtml(p.certainty || 'Unknown')}</span>
+      </p>
+      ${times ? `<dl class="alert-times">${times}</dl>` : ''}
+      ${p.description ? `<h3>Description</h3><p class="alert-text">${escapeHtml(p.description)}</p>` : ''}
+      ${p.instruction ? `<h3>Instructions</h3><p class="alert-text">${escapeHtml(p.instruction)}</p>` : ''}
+      ${p.areaDesc ? `<h3>Affected areas</h3><p>${escapeHtml(p.areaDesc)}</p>` : ''}
+      ${p.senderName ? `<p class="alert-sender">Issued by ${escapeHtml(p.senderName)}</p>` : ''}
+      ${link ? `<p><a href="${escapeHtml(link)}" target="_blank" rel="noopener noreferrer">View on weather.gov</a></p>` : ''}
+    </div>
+  `;
+
+  if (typeof panel.showModal === 'function') {
+    if (!panel.open) panel.showModal();
+  } else {
+    panel.setAttribute('open', '');
+  }
+}
+
+/* =========================
+   Background polling + notifications
+   ========================= */
+
+const ALERT_POLL_VISIBLE_MS = 2 * 60 * 1000;
+const ALERT_POLL_HIDDEN_MS = 10 * 60 * 1000;
+const ALERT_POLL_HIDDEN_MAX_MS = 60 * 60 * 1000;
+const ALERT_TOAST_MS = 15000;
+
+// Alert ids already seen per location ("lat,lon"), so only news gets announced
+const knownAlertIds = new Map();
+let alertPollTimer = null;
+let alertPollDelay = ALERT_POLL_VISIBLE_MS;
+let lastAlertPollAt = 0;
+let alertPollInFlight = null;   // the running poll, which schedules the next one when done
+
+function getAlertMinSeverity() {
+  const saved = localStorage.getItem('alertMinSeverity');
+  return ALERT_SEVERITY_ORDER.includes(saved) ? saved : 'Severe';
+}
+
+function setAlertMinSeverity(severity) {
+  if (ALERT_SEVERITY_ORDER.includes(severity)) localStorage.setItem('alertMinSeverity', severity);
+}
+
+function meetsMinSeverity(alert) {
+  const min = getAlertMinSeverity();
+  // The lowest setting means every alert, even one with a severity outside the vocabulary
+  if (min === 'Unknown') return true;
+  return capRank(ALERT_SEVERITY_ORDER, alert.properties.severity) <= capRank(ALERT_SEVERITY_ORDER, min);
+}
+
+function locationAlertKey(loc) {
+  return `${Number(loc.lat).toFixed(4)},${Number(loc.lon).toFixed(4)}`;
+}
+
+// More severe than before, or a watch/advisory that became a warning
+function isAlertUpgrade(oldAlert, newAlert) {
+  const moreSevere = capRank(ALERT_SEVERITY_ORDER, newAlert.properties.severity) <
+                     capRank(ALERT_SEVERITY_ORDER, oldAlert.properties.severity);
+  const nowWarning = alertEventKind(newAlert) === 'warning' && alertEventKind(oldAlert) !== 'warning';
+  return moreSevere || nowWarning;
+}
+
+/**
+ * Compares a fresh alert list against what we knew for a location.
+ * New = id never seen and not an update of a known alert.
+ * Upgraded = references a known alert but is more severe than it.
+ */
+function findAlertNews(previousAlerts, knownIds, freshAlerts) {
+  // References carry both the URL ('@id', same as alertId) and the bare urn ('identifier')
+  const previousById = new Map();
+  previousAlerts.forEach(a => {
+    previousById.set(alertId(a), a);
+    if (a.properties && a.properties.identifier) previousById.set(a.properties.identifier, a);
+  });
+  const news = [];
+
+  for (const alert of freshAlerts) {
+    const id = alertId(alert);
+    if (!id || knownIds.has(id)) continue;
+
+    const replaced = (alert.properties.references || [])
+      .map(r => previousById.get(r['@id']) || previousById.get(r.identifier))
+      .filter(Boolean);
+
+    if (!replaced.length) {
+      news.push({ alert, change: 'new' });
+    } else if (replaced.some(old => isAlertUpgrade(old, alert))) {
+      news.push({ alert, change: 'upgraded' });
+    }
+  }
+  return news;
+}
+
+function getToastContainer() {
+  let el = document.getElementById('toast-container');
+  if (!el) {
+    el = document.createElement('div');
+    el.id = 'toast-container';
+    el.className = 'toast-container';
+    el.setAttribute('aria-live', 'assertive');
+    document.body.appendChild(el);
+  }
+  return el;
+}
+
+function showAlertToast(alert, loc, change) {
+  const p = alert.properties;
+  const toast = document.createElement('div');
+  toast.className = `toast alert-${alertEventKind(alert)}`;
+  toast.setAttribute('role', 'alert');
+  toast.innerHTML = `
+    <button type="button" class="toast-body">
+      <strong>${change === 'upgraded' ? 'Upgraded: ' : ''}${escapeHtml(p.event || 'Weather Alert')}</strong>
+      <span>${escapeHtml(loc.label || '')}</span>
+    </button>
+    <button type="button" class="toast-close" aria-label="Dismiss">✕</button>
+  `;
+  toast.querySelector('.toast-body').addEventListener('click', () => {
+    openAlertPanel(alert, loc);
+    toast.remove();
+  });
+  toast.querySelector('.toast-close').addEventListener('click', () => toast.remove());
+  getToastContainer().appendChild(toast);
+  setTimeout(() => toast.remove(), ALERT_TOAST_MS);
+}
+
+function showAlertNotification(alert, loc, change) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const p = alert.properties;
+  try {
+    const n = new Notification(`${change === 'upgraded' ? 'Upgraded: ' : ''}${p.event || 'Weather Alert'} — ${loc.label || ''}`, {
+      body: p.headline || '',
+      tag: alertId(alert),
+      icon: 'icons/icon.svg'
+    });
+    n.onclick = () => {
+      window.focus();
+      openAlertPanel(alert, loc);
+      n.close();
+    };
+  } catch (err) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn('[ALERTS] notification failed:', err);
+  }
+}
+
+async function pollAlertsOnce(getLocations, onChange) {
+  lastAlertPollAt = Date.now();
+  const locations = getLocations().filter(loc => loc && (loc.zoneCode || loc.countyFIPS));
+  let changed = false;
+
+  await Promise.all(locations.map(async (loc) => {
+    const key = locationAlertKey(loc);
+    const previous = Array.isArray(loc.alerts) ? loc.alerts : [];
+    if (!knownAlertIds.has(key)) knownAlertIds.set(key, new Set(previous.map(alertId)));
+    const known = knownAlertIds.get(key);
+
+    const fresh = await fetchNWSAlerts(loc.lat, loc.lon, { zones: [loc.zoneCode, loc.countyFIPS], cache: 'no-cache' });
+
+    for (const { alert, change } of findAlertNews(previous, known, fresh)) {
+      if (!meetsMinSeverity(alert)) continue;
+      showAlertToast(alert, loc, change);
+      showAlertNotification(alert, loc, change);
+    }
+    fresh.forEach(a => known.add(alertId(a)));
+
+    const before = previous.map(alertId).sort().join('|');
+    const after = fresh.map(alertId).sort().join('|');
+    if (before !== after) {
+      loc.alerts = fresh;
+      changed = true;
+    }
+  }));
+
+  if (changed && onChange) onChange();
+}
+
+function scheduleAlertPoll(getLocations, onChange) {
+  clearTimeout(alertPollTimer);
+  alertPollTimer = setTimeout(async () => {
+    alertPollInFlight = pollAlertsOnce(getLocations, onChange);
+    try {
+      await alertPollInFlight;
+    } catch (err) {
+      console.warn('[ALERTS] poll failed:', err);
+    } finally {
+      alertPollInFlight = null;
+    }
+    // Back off while nobody is looking
+    alertPollDelay = document.hidden
+      ? Math.min(Math.max(alertPollDelay * 2, ALERT_POLL_HIDDEN_MS), ALERT_POLL_HIDDEN_MAX_MS)
+      : ALERT_POLL_VISIBLE_MS;
+    scheduleAlertPoll(getLocations, onChange);
+  }, alertPollDelay);
+}
+
+/**
+ * Starts refreshing active alerts for every compared location.
+ * getLocations(): current location objects (each needs lat, lon, point, alerts)
+ * onChange(): called after any location's alert list changed
+ */
+function startAlertPolling(getLocations, onChange) {
+  alertPollDelay = ALERT_POLL_VISIBLE_MS;
+  scheduleAlertPoll(getLocations, onChange);
+
+  document.addEventListener('visibilitychange', () => {
+    // A poll still running will schedule the next one itself
+    if (document.hidden || alertPollInFlight) return;
+    // Back in view: catch up right away if the last poll is overdue
+    alertPollDelay = Date.now() - lastAlertPollAt >= ALERT_POLL_VISIBLE_MS ? 0 : ALERT_POLL_VISIBLE_MS;
+    scheduleAlertPoll(getLocations, onChange);
+  });
+}
+
+/** Hooks up the minimum-severity select and the notification permission button. */
+function initAlertSettings() {
+  const select = document.getElementById('alert-min-severity');
+  const btn = document.getElementById('enable-notifications');
+
+  if (select) {
+    select.value = getAlertMinSeverity();
+    select.addEventListener('change', () => setAlertMinSeverity(select.value));
+  }
+
+  if (btn) {
+    const refresh = () => {
+      const supported = 'Notification' in window;
+      btn.hidden = !supported || Notification.permission !== 'default';
+    };
+    refresh();
+    btn.addEventListener('click', async () => {
+      try { await Notification.requestPermission(); } catch (_) {}
+      refresh();
+    });
+  }
+}
+
+window.rankAlerts = rankAlerts;
+window.startAlertPolling = startAlertPolling;
+window.initAlertSettings = initAlertSettings;
+window.openAlertPanel = openAlertPanel;
+window.closeAlertPanel = closeAlertPanel;
@@ -2,20 +2,156 @@
    api.js — NWS-only, browser-safe, no modules, no bundler
    Defines EXACT names your UI calls:
      - fetchWithTimeout(url, options, timeoutMs)
-     - geocodeLocation(query)
-     - fetchNWSPoint(lat, lon)
-     - fetchNWSForecast(lat, lon)  // returns {forecast, hourly, city, state, point}
-     - fetchNWSAlerts(lat, lon, opts)  // zone, with county fallback
+     - geocodeLocation(query, opts)  // throws AmbiguousLocationError with candidates
+     - searchLocationSuggestions(query, opts)  // type-ahead candidates
+     - fetchNWSPoint(lat, lon, opts)
+     - describeNWSPoint(pointJson)  // {city, state, gridpoint, zoneCode, countyFIPS}
+     - fetchNWSForecast(lat, lon, opts)  // returns {forecast, hourly, grid, city, state, point}
+     - fetchNWSAlerts(lat, lon, opts)  // zone + county, de-duplicated by id
+     - fetchNWSObservation(lat, lon, opts)  // {station, observation} from the nearest reporting station
+   All GETs go through a persistent cache (cache.js) with per-endpoint
+   TTLs; stale entries are revalidated with ETag / If-Modified-Since when
+   the response exposed a validator, else through the browser's HTTP cache.
+   Whenever data older than a live response is served (stale cache or
+   the service worker's offline copy), a "staledata" event with
+   { url, asOf } is dispatched on window.
+   Identical GETs in flight at the same time share one request; every
+   public fetcher takes opts.signal to abort the caller's share of it.
+   Failed requests throw typed errors (NotFoundError, OutsideCoverageError,
+   UpstreamOutageError, RequestTimeoutError, RateLimitedError), all
+   subclasses of NWSError. 5xx, 429 and timeouts are retried with
+   exponential backoff; each retry dispatches "requestretry" with
+   { url, attempt, delayMs, error, callers }, callers being the signals
+   of everyone waiting on the request (so a page can tell whose it is).
    ========================================================== */
 
 (function () {
   var DEFAULT_TIMEOUT_MS = 15000;
 
+  // ---------- Retry policy ----------
+  var RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+  var MAX_RETRIES = 3;
+  var RETRY_BASE_MS = 500;
+  var RETRY_MAX_DELAY_MS = 8000;
+  var RETRY_AFTER_MAX_MS = 30000;   // a longer Retry-After gives up instead of waiting
+
+  // ---------- Typed errors ----------
+  // problem: the parsed application/problem+json body ({ type, title, detail, ... }), if any
+  class NWSError extends Error {
+    constructor(message, opts) {
+      opts = opts || {};
+      super(message);
+      this.name = "NWSError";
+      this.url = opts.url || null;
+      this.status = opts.status;
+      this.problem = opts.problem || null;
+      // From a Retry-After header (429 and 503 may carry one)
+      this.retryAfterMs = opts.retryAfterMs != null ? opts.retryAfterMs : null;
+    }
+  }
+  class NotFoundError extends NWSError {
+    constructor(message, opts) { super(message, opts); this.name = "NotFoundError"; }
+  }
+  // NWS only forecasts for the US and its territories
+  class OutsideCoverageError extends NWSError {
+    constructor(message, opts) { super(message, opts); this.name = "OutsideCoverageError"; }
+  }
+  class UpstreamOutageError extends NWSError {
+    constructor(message, opts) { super(message, opts); this.name = "UpstreamOutageError"; }
+  }
+  class RequestTimeoutError extends NWSError {
+    constructor(message, opts) { super(message, opts); this.name = "RequestTimeoutError"; }
+  }
+  class RateLimitedError extends NWSError {
+    constructor(message, opts) { super(message, opts); this.name = "RateLimitedError"; }
+  }
+
+  window.NWSError = NWSError;
+  window.NotFoundError = NotFoundError;
+  window.OutsideCoverageError = OutsideCoverageError;
+  window.UpstreamOutageError = UpstreamOutageError;
+  window.RequestTimeoutError = RequestTimeoutError;
+  window.RateLimitedError = RateLimitedError;
+
+  // Parses a problem+json (or plain JSON) error body; null for anything else
+  function parseProblem(text) {
+    try {
+      var j = JSON.parse(text);
+      return j && typeof j === "object" ? j : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Retry-After is either delta-seconds or an HTTP date
+  function parseRetryAfter(value) {
+    if (!value) return null;
+    var secs = Number(value);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    var at = Date.parse(value);
+    return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+  }
+
+  function classifyHttpError(url, status, problem, retryAfterMs) {
+    var detail = (problem && (problem.detail || problem.title)) || ("HTTP " + status);
+    var opts = { url: url, status: status, problem: problem, retryAfterMs: retryAfterMs };
+    var type = (problem && problem.type) || "";
+
+    // /points answers 404 InvalidPoint for coordinates outside the NWS area
+    if (/InvalidPoint|OutOfBounds/i.test(type) || (status === 404 && /points\//.test(url) && /unable to provide data/i.test(detail))) {
+      return new OutsideCoverageError(detail, opts);
+    }
+    if (status === 404) return new NotFoundError(detail, opts);
+    if (status === 429) return new RateLimitedError(detail, opts);
+    if (status >= 500) return new UpstreamOutageError(detail, opts);
+    return new NWSError("Request failed " + status + " for " + url + ": " + detail, opts);
+  }
+
+  function isRetryable(err) {
+    if (err instanceof RequestTimeoutError) return true;
+    return err instanceof NWSError && RETRYABLE_STATUSES.indexOf(err.status) !== -1;
+  }
+
+  // Full jitter: a random delay up to the exponential ceiling
+  function retryDelayMs(attempt, err) {
+    if (err.retryAfterMs != null) return err.retryAfterMs;
+    var ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_MS * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  // Resolves after ms; rejects early with an AbortError if signal aborts
+  function sleep(ms, signal) {
+    return new Promise(function (resolve, reject) {
+      if (signal && signal.aborted) return reject(new DOMException("Aborted", "AbortError"));
+      var id = setTimeout(function () {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      function onAbort() {
+        clearTimeout(id);
+        reject(new DOMException("Aborted", "AbortError"));
+      }
+      if (signal) signal.addEventListener("abort", onAbort);
+    });
+  }
+
   // ---------- Core fetch helpers ----------
-  function withAbortTimeout(ms) {
+  // Aborts after ms, or earlier when the caller's own signal aborts
+  function withAbortTimeout(ms, outerSignal) {
     var controller = new AbortController();
     var id = setTimeout(function () { controller.abort(); }, ms);
-    return { signal: controller.signal, clear: function () { clearTimeout(id); } };
+    var onOuterAbort = function () { controller.abort(); };
+    if (outerSignal) {
+      if (outerSignal.aborted) controller.abort();
+      else outerSignal.addEventListener("abort", onOuterAbort);
+    }
+    return {
+      signal: controller.signal,
+      clear: function () {
+        clearTimeout(id);
+        if (outerSignal) outerSignal.removeEventListener("abort", onOuterAbort);
+      }
+    };
   }
 
   function isJSONContent(resp) {
@@ -23,25 +159,71 @@
     return ct.indexOf("json") !== -1;
   }
 
-  async function fetchJSON(url, options, timeoutMs) {
+  // ---------- Cache policy ----------
+  var MINUTE = 60 * 1000;
+  var HOUR = 60 * MINUTE;
+  var DAY = 24 * HOUR;
+
+  // First match wins; URLs with no rule are never cached
+  var CACHE_TTLS = [
+    { pattern: /api\.weather\.gov\/points\//, ttl: 7 * DAY },        // grid mapping almost never changes
+    { pattern: /api\.weather\.gov\/gridpoints\/.+\/forecast/, ttl: HOUR },  // daily + hourly forecasts
+    // Raw gridpoint data (several hundred KB) is deliberately left out: it would
+    // crowd everything else out of localStorage. sw.js still keeps an offline copy.
+    { pattern: /api\.weather\.gov\/gridpoints\/.+\/stations/, ttl: 7 * DAY },  // stations near a gridpoint
+    { pattern: /api\.weather\.gov\/stations\/.+\/observations/, ttl: 10 * MINUTE },  // most stations report hourly
+    { pattern: /api\.weather\.gov\/alerts\//, ttl: 2 * MINUTE },
+    { pattern: /nominatim\.openstreetmap\.org\//, ttl: 30 * DAY },
+    { pattern: /geocoding-api\.open-meteo\.com\//, ttl: 30 * DAY }
+  ];
+
+  function cacheTtlFor(url) {
+    for (var i = 0; i < CACHE_TTLS.length; i++) {
+      if (CACHE_TTLS[i].pattern.test(url)) return CACHE_TTLS[i].ttl;
+    }
+    return 0;
+  }
+
+  function notifyStaleData(url, asOf) {
+    window.dispatchEvent(new CustomEvent("staledata", { detail: { url: url, asOf: asOf } }));
+  }
+
+  async function fetchJSONFromNetwork(url, options, timeoutMs) {
     options = options || {};
     var ms = typeof timeoutMs === "number" ? timeoutMs : DEFAULT_TIMEOUT_MS;
 
     // Ensure Accept header for NWS/GeoJSON; allow caller to override
     var mergedHeaders = Object.assign({ "Accept": "application/geo+json" }, options.headers || {});
-    var t = withAbortTimeout(ms);
+    var t = withAbortTimeout(ms, options.signal);
 
     try {
-      var resp = await fetch(url, Object.assign({}, options, { headers: mergedHeaders, signal: t.signal }));
+      var resp;
+      try {
+        resp = await fetch(url, Object.assign({}, options, { headers: mergedHeaders, signal: t.signal }));
+      } catch (err) {
+        // Our timer fired (not the caller's signal): report it as a timeout
+        if (err.name === "AbortError" && !(options.signal && options.signal.aborted)) {
+          throw new RequestTimeoutError("Timed out after " + ms + " ms: " + url, { url: url });
+        }
+        throw err;
+      }
+      if (resp.status === 304) return { notModified: true };
       if (!resp.ok) {
         var body = "";
         try { body = await resp.text(); } catch (e) {}
         console.error("[api] HTTP", resp.status, url, body.slice(0, 240));
-        throw new Error("Request failed " + resp.status + " for " + url);
+        throw classifyHttpError(url, resp.status, parseProblem(body), parseRetryAfter(resp.headers.get("retry-after")));
       }
-      if (isJSONContent(resp)) return await resp.json();
+      var meta = {
+        etag: resp.headers.get("etag"),
+        lastModified: resp.headers.get("last-modified"),
+        // Set by sw.js when it answered from its offline copy
+        offlineCopyAt: resp.headers.get("x-sw-fetched-at")
+      };
+      if (meta.offlineCopyAt) notifyStaleData(url, new Date(meta.offlineCopyAt));
+      if (isJSONContent(resp)) return { data: await resp.json(), meta: meta };
       // last-ditch parse for proxies w/o content-type
-      try { return JSON.parse(await resp.text()); } catch (e) {
+      try { return { data: JSON.parse(await resp.text()), meta: meta }; } catch (e) {
         throw new Error("Non-JSON response for " + url);
       }
     } finally {
@@ -49,43 +231,264 @@
     }
   }
 
+  // fetchJSONFromNetwork plus backoff for 5xx, 429 and timeouts
+  async function fetchJSONWithRetry(url, options, timeoutMs) {
+    var signal = options && options.signal;
+    for (var attempt = 0; ; attempt++) {
+      try {
+        return await fetchJSONFromNetwork(url, options, timeoutMs);
+      } catch (err) {
+        if (attempt >= MAX_RETRIES || !isRetryable(err)) throw err;
+        var delayMs = retryDelayMs(attempt, err);
+        if (delayMs > RETRY_AFTER_MAX_MS) throw err;
+        console.warn("[api] retry", attempt + 1, "in", delayMs, "ms:", url, err.message);
+        window.dispatchEvent(new CustomEvent("requestretry", {
+          detail: { url: url, attempt: attempt + 1, delayMs: delayMs, error: err, callers: callerSignals(signal) }
+        }));
+        await sleep(delayMs, signal);
+      }
+    }
+  }
+
+  // ---------- In-flight de-duplication ----------
+  // key -> { promise, controller, waiters, callers }; the shared request is only
+  // aborted once every caller waiting on it has aborted
+  var inflight = {};
+  var sharedBySignal = new WeakMap();   // shared controller's signal -> entry
+
+  // The signals of the callers behind a request's signal (just itself when not shared)
+  function callerSignals(signal) {
+    var entry = signal && sharedBySignal.get(signal);
+    if (entry) return entry.callers.slice();
+    return signal ? [signal] : [];
+  }
+
+  function abortError() {
+    return new DOMException("Aborted", "AbortError");
+  }
+
+  function sharedRequest(key, run, signal) {
+    if (signal && signal.aborted) return Promise.reject(abortError());
+
+    var entry = inflight[key];
+    if (!entry) {
+      var controller = new AbortController();
+      entry = { controller: controller, waiters: 0, callers: [], promise: null };
+      sharedBySignal.set(controller.signal, entry);
+      entry.promise = run(controller.signal);
+      inflight[key] = entry;
+      var forget = function () { if (inflight[key] === entry) delete inflight[key]; };
+      entry.promise.then(forget, forget);
+    }
+    var shared = entry;
+    shared.waiters++;
+    if (signal) shared.callers.push(signal);
+
+    return new Promise(function (resolve, reject) {
+      var settled = false;
+      function settle() {
+        if (settled) return false;
+        settled = true;
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+          shared.callers = shared.callers.filter(function (s) { return s !== signal; });
+        }
+        return true;
+      }
+      function onAbort() {
+        if (!settle()) return;
+        if (--shared.waiters === 0) {
+          // Forget it now, so a request that comes in before it settles starts afresh
+          if (inflight[key] === shared) delete inflight[key];
+          shared.controller.abort();
+        }
+        reject(abortError());
+      }
+      if (signal) signal.addEventListener("abort", onAbort);
+      shared.promise.then(
+        function (data) { if (settle()) resolve(data); },
+        function (err) { if (settle()) reject(err); }
+      );
+    });
+  }
+
+  /**
+   * GET JSON through the persistent cache.
+   * options.cache follows fetch() semantics:
+   *   "default"  - serve fresh entries, revalidate stale ones
+   *   "no-cache" - always revalidate, even when fresh
+   *   "reload"   - ignore the cached copy but store the new response
+   *   "no-store" - bypass the cache entirely
+   * A stale entry is served when the network fails, times out or keeps
+   * returning 5xx / 429 after the retries.
+   * Concurrent identical GETs (same URL and cache mode) share one request.
+   */
+  function fetchJSON(url, options, timeoutMs) {
+    options = options || {};
+    if ((options.method || "GET").toUpperCase() !== "GET") return fetchJSONCached(url, options, timeoutMs);
+
+    var key = (options.cache || "default") + " " + url;
+    return sharedRequest(key, function (signal) {
+      return fetchJSONCached(url, Object.assign({}, options, { signal: signal }), timeoutMs);
+    }, options.signal);
+  }
+
+  async function fetchJSONCached(url, options, timeoutMs) {
+    options = options || {};
+    var method = (options.method || "GET").toUpperCase();
+    var ttl = method === "GET" ? cacheTtlFor(url) : 0;
+    var mode = options.cache || "default";
+
+    if (!ttl || mode === "no-store" || !window.responseCache) {
+      return (await fetchJSONWithRetry(url, options, timeoutMs)).data;
+    }
+
+    var entry = mode === "reload" ? null : responseCache.get(url);
+    if (entry && mode === "default" && Date.now() < entry.expiresAt) {
+      return entry.data;
+    }
+
+    // Cross-origin responses only show us validators the server exposes (Last-Modified is
+    // always readable, ETag only via Access-Control-Expose-Headers), and conditional
+    // headers make the request preflighted. So they're only sent when we actually hold a
+    // validator; otherwise the browser's HTTP cache revalidates with the ones it can see.
+    var headers = Object.assign({}, options.headers || {});
+    var conditional = false;
+    if (entry && entry.etag) { headers["If-None-Match"] = entry.etag; conditional = true; }
+    if (entry && entry.lastModified) { headers["If-Modified-Since"] = entry.lastModified; conditional = true; }
+    var netOptions = Object.assign({}, options, { headers: headers, cache: conditional ? "no-store" : "no-cache" });
+
+    var result;
+    try {
+      result = await fetchJSONWithRetry(url, netOptions, timeoutMs);
+    } catch (err) {
+      var transient = err instanceof UpstreamOutageError || err instanceof RateLimitedError || !err.status;
+      var cancelled = err.name === "AbortError";
+      if (entry && transient && !cancelled) {
+        console.warn("[api] serving stale cache for", url, err.message);
+        notifyStaleData(url, new Date(entry.storedAt));
+        return entry.data;
+      }
+      throw err;
+    }
+
+    if (result.notModified) {
+      if (entry) {
+        responseCache.touch(url, ttl);
+        return entry.data;
+      }
+      // 304 without a cached copy (validators came from elsewhere): fetch in full
+      result = await fetchJSONWithRetry(url, Object.assign({}, options, { cache: "reload" }), timeoutMs);
+    }
+
+    // An offline copy is no fresher than what we hold; don't let it look new
+    if (!result.meta.offlineCopyAt) {
+      responseCache.set(url, result.data, { ttlMs: ttl, etag: result.meta.etag, lastModified: result.meta.lastModified });
+    }
+    return result.data;
+  }
+
   // Public wrapper preserving your original name
   window.fetchWithTimeout = function (url, options, timeoutMs) {
     return fetchJSON(url, options, timeoutMs);
   };
 
   // ---------- Geocoding (ZIP or city/state) ----------
-  // Returns { lat, lon, label }
-  async function geocodeLocation(query) {
+
+  // Thrown when a query matches several distinct places; carries them for a picker
+  class AmbiguousLocationError extends Error {
+    constructor(query, candidates) {
+      super("Several places match \"" + query + "\"");
+      this.name = "AmbiguousLocationError";
+      this.query = query;
+      this.candidates = candidates;
+    }
+  }
+  window.AmbiguousLocationError = AmbiguousLocationError;
+
+  function candidateFromNominatim(hit, q) {
+    var adr = hit.address || {};
+    var cityLike = adr.city || adr.town || adr.village || adr.hamlet || adr.county || "";
+    var state = adr.state_code || adr.state || "";
+    var label = (cityLike && state) ? (cityLike + ", " + (state || "")) : (hit.display_name || q);
+    return {
+      lat: parseFloat(hit.lat),
+      lon: parseFloat(hit.lon),
+      label: label,
+      detail: [adr.county, adr.state].filter(Boolean).join(", ")
+    };
+  }
+
+  // Returns { lat, lon, label }; a ZIP or an unambiguous name resolves directly
+  async function geocodeLocation(query, opts) {
+    opts = opts || {};
     if (!query || typeof query !== "string") throw new Error("Missing location query");
     var q = query.trim();
     var params = new URLSearchParams({
       q: q,
       format: "json",
       addressdetails: "1",
-      limit: "1",
+      limit: "5",
       countrycodes: "us"
     });
     var url = "https://nominatim.openstreetmap.org/search?" + params.toString();
     // Nominatim policy: browser Referer is fine; keep requests modest
-    var data = await fetchJSON(url, { headers: { "Accept": "application/json" } }, 12000);
+    var data = await fetchJSON(url, { headers: { "Accept": "application/json" }, signal: opts.signal }, 12000);
     if (!Array.isArray(data) || data.length === 0) {
-      throw new Error("Location not found: " + q);
+      throw new NotFoundError("Location not found: " + q, { url: url });
     }
-    var hit = data[0];
-    var lat = parseFloat(hit.lat), lon = parseFloat(hit.lon);
-    var adr = hit.address || {};
-    var cityLike = adr.city || adr.town || adr.village || adr.hamlet || adr.county || "";
-    var state = adr.state_code || adr.state || "";
-    var label = (cityLike && state) ? (cityLike + ", " + (state || "")) : (hit.display_name || q);
-    return { lat: lat, lon: lon, label: label };
+
+    // Several hits for one place (city + county boundary, etc.) share a label
+    var seen = {};
+    var candidates = data.map(function (hit) { return candidateFromNominatim(hit, q); })
+      .filter(function (c) {
+        var key = c.label + "|" + c.detail;
+        if (seen[key]) return false;
+        seen[key] = true;
+        return true;
+      });
+
+    if (candidates.length > 1 && !/^\d{5}(-\d{4})?$/.test(q)) {
+      throw new AmbiguousLocationError(q, candidates);
+    }
+    var hit = candidates[0];
+    return { lat: hit.lat, lon: hit.lon, label: hit.label };
   }
   window.geocodeLocation = geocodeLocation;
 
+  // ---------- Type-ahead suggestions ----------
+  // Uses Open-Meteo geocoding: Nominatim's usage policy forbids client-side autocomplete.
+  // Returns [{ lat, lon, label, detail }]
+  async function searchLocationSuggestions(query, opts) {
+    opts = opts || {};
+    var q = (query || "").trim();
+    if (q.length < 3) return [];
+    var params = new URLSearchParams({
+      name: q,
+      count: "8",
+      language: "en",
+      format: "json",
+      countryCode: "US"
+    });
+    var url = "https://geocoding-api.open-meteo.com/v1/search?" + params.toString();
+    var data = await fetchJSON(url, { headers: { "Accept": "application/json" }, signal: opts.signal }, 8000);
+    var results = (data && Array.isArray(data.results)) ? data.results : [];
+    return results.map(function (r) {
+      return {
+        lat: r.latitude,
+        lon: r.longitude,
+        label: r.admin1 ? (r.name + ", " + r.admin1) : r.name,
+        detail: [r.admin2, r.admin1].filter(Boolean).join(", ")
+      };
+    });
+  }
+  window.searchLocationSuggestions = searchLocationSuggestions;
+
   // ---------- NWS Points ----------
-  async function fetchNWSPoint(lat, lon) {
+  async function fetchNWSPoint(lat, lon, opts) {
+    opts = opts || {};
     var url = "https://api.weather.gov/points/" + lat + "," + lon;
-    return await fetchJSON(url, {}, 12000);
+    return await fetchJSON(url, { signal: opts.signal }, 12000);
   }
   window.fetchNWSPoint = fetchNWSPoint;
 
@@ -117,67 +520,178 @@
     return null;
   }
 
+  // Everything about a /points answer worth remembering, so a saved place can
+  // skip /points next time: gridpoint is { office, x, y }
+  function describeNWSPoint(pointJson) {
+    var props = (pointJson && pointJson.properties) || {};
+    var cs = extractCityStateFromPoint(pointJson);
+    var hasGrid = props.gridId && Number.isFinite(props.gridX) && Number.isFinite(props.gridY);
+    return {
+      city: cs.city,
+      state: cs.state,
+      gridpoint: hasGrid ? { office: props.gridId, x: props.gridX, y: props.gridY } : null,
+      zoneCode: codeFromZoneUrl(props.forecastZone),
+      countyFIPS: codeFromZoneUrl(props.county)
+    };
+  }
+  window.describeNWSPoint = describeNWSPoint;
+
+  // The same URLs /points hands out, so responses share cache entries either way
+  function gridpointUrls(gridpoint) {
+    var base = "https://api.weather.gov/gridpoints/" + encodeURIComponent(gridpoint.office) + "/" + gridpoint.x + "," + gridpoint.y;
+    return {
+      forecast: base + "/forecast",
+      forecastHourly: base + "/forecast/hourly",
+      forecastGridData: base,
+      observationStations: base + "/stations"
+    };
+  }
+
   // ---------- NWS Forecast ----------
-  async function fetchNWSForecast(lat, lon) {
+  // opts.cache is passed to the forecast requests ("no-cache" revalidates when refreshing)
+  // opts.gridpoint ({ office, x, y } from describeNWSPoint) skips /points; point,
+  // city and state are then empty
+  // The daily forecast, hourly forecast and raw grid data are fetched in parallel;
+  // the grid only adds detail, so a failed grid request leaves grid null
+  async function fetchNWSForecast(lat, lon, opts) {
+    opts = opts || {};
     try {
-      const pointJson = await fetchNWSPoint(lat, lon);
-      const props = pointJson.properties || {};
+      const pointJson = opts.gridpoint ? null : await fetchNWSPoint(lat, lon, { signal: opts.signal });
+      const props = pointJson ? pointJson.properties || {} : gridpointUrls(opts.gridpoint);
       
       const forecastUrl = props.forecast;
       const hourlyUrl = props.forecastHourly;
+      const gridUrl = props.forecastGridData;
       
       if (!forecastUrl) {
-        throw new Error("No forecast URL in point data");
+        // Points over open water or outside a forecast office's area have no forecast
+        throw new OutsideCoverageError("No forecast available for " + lat + "," + lon, { url: pointJson.id || null });
       }
 
-      const forecast = await fetchJSON(forecastUrl);
-      const hourly = hourlyUrl ? await fetchJSON(hourlyUrl) : null;
+      const fetchOpts = { cache: opts.cache, signal: opts.signal };
+      const [forecast, hourly, grid] = await Promise.all([
+        fetchJSON(forecastUrl, fetchOpts),
+        hourlyUrl ? fetchJSON(hourlyUrl, fetchOpts) : null,
+        gridUrl ? fetchJSON(gridUrl, fetchOpts).catch(function (err) {
+          if (err.name === "AbortError") throw err;
+          console.warn("[api] grid data unavailable:", err.message);
+          return null;
+        }) : null
+      ]);
       
-      const cs = extractCityStateFromPoint(pointJson);
+      const cs = pointJson ? extractCityStateFromPoint(pointJson) : { city: "", state: "" };
       
       return {
         forecast: forecast,
         hourly: hourly,
+        grid: grid,
         city: cs.city,
         state: cs.state,
         point: pointJson
       };
     } catch (err) {
-      console.error("[api] fetchNWSForecast ERROR:", err);
+      if (err.name !== "AbortError") console.error("[api] fetchNWSForecast ERROR:", err);
       throw err;
     }
   }
   window.fetchNWSForecast = fetchNWSForecast;
 
   // ---------- Alerts (zone-first, county fallback) ----------
-  async function fetchNWSAlerts(lat, lon, { pointJson }) {
-    try {
-      const props = pointJson.properties || {};
-      const zoneCode   = codeFromZoneUrl(props.forecastZone);
-      const countyCode = codeFromZoneUrl(props.county);
+  function alertFeatureId(feature) {
+    var p = (feature && feature.properties) || {};
+    return feature.id || p.id || p["@id"] || null;
+  }
+
+  // The zone and county feeds overlap; keep the first copy of each alert id
+  function dedupeAlerts(features) {
+    var seen = {};
+    return features.filter(function (f) {
+      var id = alertFeatureId(f);
+      if (!id) return true;
+      if (seen[id]) return false;
+      seen[id] = true;
+      return true;
+    });
+  }
 
-      let alerts = [];
+  // opts.cache is passed to fetchJSON ("no-cache" forces revalidation when polling)
+  // opts.zones ([zoneCode, countyFIPS]) replaces the codes read from opts.pointJson
+  // Zone and county feeds are fetched in parallel; a failed feed just contributes nothing
+  async function fetchNWSAlerts(lat, lon, { pointJson, zones, cache, signal }) {
+    const props = (pointJson && pointJson.properties) || {};
+    const codes = (zones || [codeFromZoneUrl(props.forecastZone), codeFromZoneUrl(props.county)]).filter(Boolean);
 
-      if (zoneCode) {
-        try {
-          const j = await fetchJSON(`https://api.weather.gov/alerts/active/zone/${encodeURIComponent(zoneCode)}`);
-          if (j && Array.isArray(j.features)) alerts = alerts.concat(j.features);
-        } catch (e) { console.warn("[api] zone alerts failed", zoneCode, e); }
+    const feeds = await Promise.all(codes.map(async (code) => {
+      try {
+        const j = await fetchJSON(`https://api.weather.gov/alerts/active/zone/${encodeURIComponent(code)}`, { cache: cache, signal: signal });
+        return j && Array.isArray(j.features) ? j.features : [];
+      } catch (e) {
+        if (e.name === "AbortError") throw e;
+        console.warn("[api] alerts failed for zone", code, e);
+        return [];
       }
+    }));
 
-      if (countyCode) {
-        try {
-          const j2 = await fetchJSON(`https://api.weather.gov/alerts/active/zone/${encodeURIComponent(countyCode)}`);
-          if (j2 && Array.isArray(j2.features)) alerts = alerts.concat(j2.features);
-        } catch (e) { console.warn("[api] county alerts failed", countyCode, e); }
-      }
+    // Zone first, so its copy wins when both feeds carry an alert
+    return dedupeAlerts([].concat.apply([], feeds));
+  }
+  window.fetchNWSAlerts = fetchNWSAlerts;
 
-      return alerts;
-    } catch (err) {
-      console.error("[api] fetchNWSAlerts ERROR:", err);
-      return [];
+  // ---------- Observations (nearest station first) ----------
+  // Stations go offline or stop reporting temperature; try the next nearest few
+  var OBSERVATION_STATION_TRIES = 3;
+
+  function stationFromFeature(feature, lat, lon) {
+    var p = (feature && feature.properties) || {};
+    var coords = (feature && feature.geometry && feature.geometry.coordinates) || [];
+    var sLat = Number(coords[1]);
+    var sLon = Number(coords[0]);
+    var known = Number.isFinite(sLat) && Number.isFinite(sLon);
+    return {
+      id: p.stationIdentifier || String(feature.id || "").split("/").pop(),
+      name: p.name || "",
+      distanceMi: known ? distanceMiles(lat, lon, sLat, sLon) : null
+    };
+  }
+
+  // opts: { pointJson, gridpoint, cache, signal }; the station list comes from the
+  // point's observationStations link (or the gridpoint's, for saved places)
+  // Resolves to { station: { id, name, distanceMi }, observation } or null when no
+  // nearby station has a current temperature; only an abort rejects
+  async function fetchNWSObservation(lat, lon, opts) {
+    opts = opts || {};
+    var props = (opts.pointJson && opts.pointJson.properties) || {};
+    var stationsUrl = props.observationStations || (opts.gridpoint ? gridpointUrls(opts.gridpoint).observationStations : null);
+    if (!stationsUrl) return null;
+
+    let stations;
+    try {
+      const list = await fetchJSON(stationsUrl, { signal: opts.signal });
+      stations = ((list && list.features) || [])
+        .map(function (f) { return stationFromFeature(f, lat, lon); })
+        .filter(function (s) { return s.id; })
+        .sort(function (a, b) { return (a.distanceMi ?? Infinity) - (b.distanceMi ?? Infinity); });
+    } catch (e) {
+      if (e.name === "AbortError") throw e;
+      console.warn("[api] observation stations unavailable:", e.message);
+      return null;
+    }
+
+    for (const station of stations.slice(0, OBSERVATION_STATION_TRIES)) {
+      try {
+        const url = "https://api.weather.gov/stations/" + encodeURIComponent(station.id) + "/observations/latest";
+        const j = await fetchJSON(url, { cache: opts.cache, signal: opts.signal });
+        const obs = j && j.properties;
+        if (obs && obs.temperature && obs.temperature.value != null) {
+          return { station: station, observation: obs };
+        }
+      } catch (e) {
+        if (e.name === "AbortError") throw e;
+        console.warn("[api] no observation from", station.id, e.message);
+      }
     }
+    return null;
   }
-  window.fetchNWSAlerts = fetchNWSAlerts;
+  window.fetchNWSObservation = fetchNWSObservation;
 
 })();
@@ -1,6 +1,6 @@
+// One entry per location slot, in display order (null = slot not loaded yet)
 window.appState = {
-    locations: [null, null, null],
-    maxLocations: 3
+    locations: []
 };
 
 function getLocationInputElement(index) {
@@ -8,134 +8,743 @@ function getLocationInputElement(index) {
   return document.getElementById(`location-${index + 1}`);
 }
 
+// ---------------- LOCATION SLOTS ----------------
+
+function getLocationSlots() {
+  return Array.from(document.querySelectorAll('#location-list .location-slot'));
+}
+
+function addLocationSlot(value) {
+  const list = document.getElementById('location-list');
+  const slot = createLocationSlot();
+  list.appendChild(slot);
+  appState.locations.push(null);
+  renumberLocationSlots();
+  if (value) slot.querySelector('input').value = value;
+  return appState.locations.length - 1;
+}
+
+// Makes sure at least `count` input slots exist
+function ensureLocationSlots(count) {
+  while (getLocationSlots().length < count) addLocationSlot();
+}
+
+function removeLocation(index) {
+  const slots = getLocationSlots();
+  if (!slots[index]) return;
+
+  cancelSlotLoad(slots[index]);
+
+  // Keep one input around so there is always somewhere to type
+  if (slots.length === 1) {
+    slots[0].querySelector('input').value = '';
+    appState.locations[0] = null;
+  } else {
+    slots[index].remove();
+    appState.locations.splice(index, 1);
+  }
+
+  renumberLocationSlots();
+  renderWeatherTable(appState.locations.filter(Boolean));
+  locationStore.save(appState.locations);
+  syncUrlState();
+}
+
+// Slot index of each table column (slots that haven't loaded have no column)
+function columnSlotIndexes() {
+  return appState.locations.map((loc, i) => (loc ? i : -1)).filter(i => i !== -1);
+}
+
+/**
+ * Moves the location in column fromCol so it ends up at column toCol.
+ * Its input slot moves along, so the list of inputs keeps the table's order.
+ */
+function moveLocationColumn(fromCol, toCol) {
+  const loaded = columnSlotIndexes();
+  const from = loaded[fromCol];
+  const to = loaded[toCol];
+  if (from === undefined || to === undefined || from === to) return;
+
+  const list = document.getElementById('location-list');
+  const slots = getLocationSlots();
+  list.insertBefore(slots[from], from < to ? slots[to].nextSibling : slots[to]);
+  const [moved] = appState.locations.splice(from, 1);
+  appState.locations.splice(to, 0, moved);
+
+  renumberLocationSlots();
+  renderWeatherTable(appState.locations.filter(Boolean));
+  locationStore.save(appState.locations);
+  syncUrlState();
+}
+
+function removeLocationColumn(col) {
+  const index = columnSlotIndexes()[col];
+  if (index !== undefined) removeLocation(index);
+}
+
+function initLocationList() {
+  const list = document.getElementById('location-list');
+  const addBtn = document.getElementById('add-location');
+
+  list.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const index = getLocationSlots().indexOf(btn.closest('.location-slot'));
+    if (index === -1) return;
+    if (btn.dataset.action === 'update') updateLocation(index);
+    if (btn.dataset.action === 'remove') removeLocation(index);
+  });
+
+  list.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || e.target.tagName !== 'INPUT') return;
+    const index = getLocationSlots().indexOf(e.target.closest('.location-slot'));
+    if (index !== -1) updateLocation(index);
+  });
+
+  attachLocationAutocomplete(list, (input, candidate) => {
+    const index = getLocationSlots().indexOf(input.closest('.location-slot'));
+    if (index !== -1) chooseLocationCandidate(index, candidate);
+  });
+
+  // Column headers in the table ask for these (ui.js)
+  window.addEventListener('columnmove', (e) => moveLocationColumn(e.detail.from, e.detail.to));
+  window.addEventListener('columnremove', (e) => removeLocationColumn(e.detail.col));
+
+  const hereBtn = document.getElementById('use-my-location');
+  if (hereBtn) hereBtn.addEventListener('click', () => useMyLocation({ prompt: true }));
+
+  if (addBtn) {
+    addBtn.addEventListener('click', () => {
+      const index = addLocationSlot();
+      const input = getLocationInputElement(index);
+      if (input) input.focus();
+    });
+  }
+}
+
 async function initApp() {
     console.log("Initializing Weather Compare App...");
     initTheme();
+    initUnits();
+    window.addEventListener('unitschange', () => renderWeatherTable(appState.locations.filter(Boolean)));
+    initStatus();
+    initOfflineSupport();
+    initLocationList();
+    initCharts();
+    initCompareSettings();
+    initExport();
+    initLocationSets(() => appState.locations.filter(Boolean), loadLocationSet);
+    initItinerary();
+    window.addEventListener('comparechange', () => renderWeatherTable(appState.locations.filter(Boolean)));
+    initUrlState();
+    initAlertSettings();
+    startForecastRefresh();
+    startAlertPolling(
+        () => appState.locations.filter(Boolean),
+        () => renderWeatherTable(appState.locations.filter(Boolean))
+    );
+
+    // ✅ A shared link wins over anything saved locally
+    const fromUrl = readUrlState();
+    if (fromUrl) applyUrlSettings(fromUrl);
 
     // ✅ Load saved locations if available
-    const saved = loadLocationsFromCookie();
+    const saved = locationStore.load();
+    let initialLoad;
 
-    if (saved && saved.length > 0) {
-        saved.forEach((name, index) => {
-            const input = document.getElementById(`location-${index + 1}`);
-            if (input) input.value = name;
-            updateLocation(index);  // triggers fetch & render
-        });
+    if (fromUrl && fromUrl.locations.length > 0) {
+        initialLoad = loadUrlLocations(fromUrl.locations);
+    } else if (saved && saved.length > 0) {
+        initialLoad = loadSavedLocations(saved);
     } else {
-        // ✅ Default fallback list
+        // ✅ Default fallback list; slot 0 is the user's own location when we can find it
         const defaults = ["21043", "53706"];
+	ensureLocationSlots(defaults.length);
 	defaults.forEach((name, index) => {
-	    const input = document.getElementById(`location-${index + 1}`);
-	    if (input) input.value = name;
+	    const input = getLocationInputElement(index);
+	    if (input && index > 0) input.value = name;
 	});
 	
 	// ✅ Ensure browser commits input values before running lookups
-	requestAnimationFrame(() => {
-	    defaults.forEach((_, index) => updateLocation(index));
-	});
+	initialLoad = Promise.all([
+	    useMyLocation({ prompt: false, fallbackQuery: defaults[0] }),
+	    new Promise(resolve => requestAnimationFrame(resolve))
+	        .then(() => Promise.all(defaults.slice(1).map((_, i) => updateLocation(i + 1))))
+	]);
     }
+
+    // Startup shouldn't leave a trail of history entries; later changes should
+    initialLoad.finally(releaseUrlState);
 }
 
 async function updateLocation(index) {
-  try {
-    const inputEl = getLocationInputElement(index);
-    const query = inputEl.value.trim();
-    if (!query) return;
+  const slotEl = getLocationSlots()[index];
+  const inputEl = getLocationInputElement(index);
+  const query = inputEl ? inputEl.value.trim() : '';
+  if (!query) return;
 
+  try {
     console.log(`[APP] updateLocation(${index}) start -> "${query}"`);
-    showLoading();
-
-    // Only geocode here
-    const geo = await geocodeLocation(query);
 
-    // Pass minimal info; setLocation handles forecast + alerts
-    await setLocation(index, {
-      lat: geo.lat,
-      lon: geo.lon,
-      label: geo.label
+    // Only geocode here; an ambiguous name asks the user instead of guessing
+    await runSlotLoad(slotEl, async (signal) => {
+      const geo = await geocodeLocation(query, { signal });
+      return fetchLocationData({ lat: geo.lat, lon: geo.lon, label: geo.label, query }, signal);
     });
-
   } catch (err) {
+    if (err.name === 'AbortError') return;
+    if (err instanceof AmbiguousLocationError) {
+      showLocationPicker(inputEl, err.candidates);
+      return;
+    }
     console.error(`[APP] updateLocation(${index}) ERROR:`, err);
+    showSlotError(slotEl, err);
   } finally {
-    hideLoading();
     console.log(`[APP] updateLocation(${index}) end`);
   }
 }
 
-async function setLocation(index, locationInfo) {
-  console.log(`[APP] setLocation(${index}) start for`, locationInfo);
+/**
+ * Fills slot 0 with the detected location (browser geolocation, else IP lookup).
+ * opts.prompt: may show the browser permission prompt (user clicked the button)
+ * opts.fallbackQuery: typed into slot 0 and looked up if detection fails
+ */
+async function useMyLocation(opts) {
+  opts = opts || {};
+  ensureLocationSlots(1);
+  const slotEl = getLocationSlots()[0];
+  const input = getLocationInputElement(0);
 
-  // Fetch NWS forecast package
-  const forecastData = await fetchNWSForecast(locationInfo.lat, locationInfo.lon);
+  try {
+    await runSlotLoad(slotEl, async (signal) => {
+      const here = await detectUserLocation({ prompt: opts.prompt });
+      return fetchLocationData(here, signal);
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    console.warn('[APP] location detection failed:', err);
+    if (opts.fallbackQuery && input) {
+      input.value = opts.fallbackQuery;
+      await updateLocation(0);
+    } else if (err instanceof NWSError) {
+      showSlotError(slotEl, err);
+    } else {
+      setSlotStatus(slotEl, 'error', "Couldn't detect your location — type a city or ZIP instead.");
+    }
+  }
+}
 
-  const periods =
-    forecastData.forecast &&
-    forecastData.forecast.properties &&
-    Array.isArray(forecastData.forecast.properties.periods)
-      ? forecastData.forecast.properties.periods
-      : [];
+// A suggestion or picker choice already has coordinates: skip geocoding
+async function chooseLocationCandidate(index, candidate) {
+  const slotEl = getLocationSlots()[index];
+  const inputEl = getLocationInputElement(index);
+  const query = (inputEl && inputEl.value.trim()) || candidate.label;
+  try {
+    await setLocation(index, { lat: candidate.lat, lon: candidate.lon, label: candidate.label, query });
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    console.error(`[APP] chooseLocationCandidate(${index}) ERROR:`, err);
+    showSlotError(slotEl, err);
+  }
+}
 
-  const forecastZone =
-    forecastData.point &&
-    forecastData.point.properties &&
-    forecastData.point.properties.forecastZone;
+// Reloads a saved entry (or a loaded record); entries with a gridpoint skip
+// geocoding and /points, entries without coordinates are geocoded from their query
+async function restoreLocation(index, entry) {
+  const hasCoords = entry.lat != null && entry.lon != null;
+  if (!locationStore.isResolved(entry) && !hasCoords) {
+    const input = getLocationInputElement(index);
+    if (input) input.value = entry.query || entry.label || '';
+    return updateLocation(index);
+  }
 
-  // Fetch alerts with zone + county fallback
-  const alerts = await fetchNWSAlerts(locationInfo.lat, locationInfo.lon, { pointJson: forecastData.point });
+  const slotEl = getLocationSlots()[index];
+  try {
+    await setLocation(index, locationStore.toEntry(entry));
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    console.error(`[APP] restoreLocation(${index}) ERROR:`, err);
+    showSlotError(slotEl, err);
+  }
+}
 
-  // Compute daily aggregates
-  const dailyData = getDailyRealFeelRange(periods);
+function loadSavedLocations(entries) {
+  ensureLocationSlots(entries.length);
+  entries.forEach((entry, index) => {
+    const input = getLocationInputElement(index);
+    if (input) input.value = entry.label || entry.query || '';
+  });
+  return Promise.all(entries.map((entry, index) => restoreLocation(index, entry)));
+}
 
-  const displayCity = forecastData.city || locationInfo.label || "";
-  const displayState = forecastData.state || "";
-  const prettyLabel = displayCity && displayState ? `${displayCity}, ${displayState}` : displayCity || locationInfo.label || "";
+// Swaps the comparison for a saved set; the link gets one history entry once it has loaded
+function loadLocationSet(entries) {
+  urlHistoryMode = 'hold';
+  clearLocationSlots();
+  renderWeatherTable([]);
+  return loadSavedLocations(entries).finally(() => {
+    urlHistoryMode = 'push';
+    syncUrlState();
+  });
+}
 
-  // 🚩 Update the corresponding input field!
-  const inputEl = getLocationInputElement(index);
-  if (inputEl) inputEl.value = prettyLabel;
+/**
+ * Turns a fetchNWSForecast package into the forecast fields stored on a location:
+ * periods, dailyData, hourlyData and when NWS issued each forecast.
+ * The raw grid data only feeds the aggregates; it isn't kept on the location.
+ */
+function buildForecastFields(forecastData) {
+  const forecastProps = (forecastData.forecast && forecastData.forecast.properties) || {};
+  const hourlyProps = (forecastData.hourly && forecastData.hourly.properties) || {};
+
+  const periods = Array.isArray(forecastProps.periods) ? forecastProps.periods : [];
+  const hourlyPeriods = Array.isArray(hourlyProps.periods) ? hourlyProps.periods : [];
+  const grid = parseGridData(forecastData.grid);
+
+  return {
+    periods,
+    dailyData: getDailyRealFeelRange(periods, grid),
+    hourlyData: getHourlyByDate(hourlyPeriods, grid),
+    forecastUpdated: forecastProps.updateTime || forecastProps.generatedAt || null,
+    hourlyUpdated: hourlyProps.updateTime || hourlyProps.generatedAt || null,
+    forecastCheckedAt: Date.now()
+  };
+}
+
+/**
+ * Fetches everything one column needs and returns the location record.
+ * /points comes first (everything else hangs off it); the daily forecast,
+ * hourly forecast, alerts and latest station observation then load in parallel.
+ * A saved place (locationInfo.gridpoint) skips /points; if its gridpoint no
+ * longer exists, it is looked up again.
+ */
+async function fetchLocationData(locationInfo, signal) {
+  if (locationStore.isResolved(locationInfo)) {
+    try {
+      return await fetchKnownLocationData(locationInfo, signal);
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) throw err;
+      console.warn(`[APP] saved gridpoint for ${locationInfo.label} is gone, looking it up again`);
+    }
+  }
+
+  const { lat, lon } = locationInfo;
+  const pointJson = await fetchNWSPoint(lat, lon, { signal });
+  const place = describeNWSPoint(pointJson);
+  if (!place.gridpoint) {
+    // Open water or outside every forecast office's area
+    throw new OutsideCoverageError(`No forecast available for ${lat},${lon}`, { url: pointJson.id || null });
+  }
+
+  const [forecastData, alerts, observed] = await Promise.all([
+    fetchNWSForecast(lat, lon, { gridpoint: place.gridpoint, signal }),
+    fetchNWSAlerts(lat, lon, { pointJson, signal }),
+    fetchNWSObservation(lat, lon, { pointJson, signal })
+  ]);
+
+  return buildLocationRecord(locationInfo, place, { ...forecastData, point: pointJson }, alerts, observed);
+}
+
+async function fetchKnownLocationData(locationInfo, signal) {
+  const { lat, lon, gridpoint, zoneCode, countyFIPS } = locationInfo;
+  const [forecastData, alerts, observed] = await Promise.all([
+    fetchNWSForecast(lat, lon, { gridpoint, signal }),
+    fetchNWSAlerts(lat, lon, { zones: [zoneCode, countyFIPS], signal }),
+    fetchNWSObservation(lat, lon, { gridpoint, signal })
+  ]);
+  return buildLocationRecord(locationInfo, locationInfo, forecastData, alerts, observed);
+}
+
+// fetchNWSObservation result -> the record's "current" field (null when nothing reported)
+function buildCurrentConditions(observed) {
+  return observed ? { station: observed.station, ...summarizeObservation(observed.observation) } : null;
+}
+
+// place: { city, state, gridpoint, zoneCode, countyFIPS } from describeNWSPoint or a saved entry
+function buildLocationRecord(locationInfo, place, forecastData, alerts, observed) {
+  const displayCity = place.city || locationInfo.label || "";
+  const displayState = place.state || "";
+  const prettyLabel = displayCity && displayState ? `${displayCity}, ${displayState}` : displayCity || locationInfo.label || "";
 
-  // 🚩 Assign the cookie 'name' field as the pretty label
-  appState.locations[index] = {
+  return {
     ...locationInfo,
     city: displayCity,
     state: displayState,
     label: prettyLabel,  // for table display
-    name: prettyLabel,   // for cookie persistence!
-    periods,
-    forecastZone,
+    name: prettyLabel,
+    point: forecastData.point,
+    gridpoint: place.gridpoint,
+    zoneCode: place.zoneCode,
+    countyFIPS: place.countyFIPS,
     alerts,
-    dailyData,
-    index
+    current: buildCurrentConditions(observed),
+    currentCheckedAt: Date.now(),
+    ...buildForecastFields(forecastData)
   };
+}
 
-  console.log(`[APP] setLocation(${index}) stored location, rendering table`);
-  renderWeatherTable(appState.locations.filter(Boolean));
-  saveLocationsToCookie();
+// Loads a location with known coordinates into a slot
+async function setLocation(index, locationInfo) {
+  console.log(`[APP] setLocation(${index}) start for`, locationInfo);
+  await runSlotLoad(getLocationSlots()[index], signal => fetchLocationData(locationInfo, signal));
   console.log(`[APP] setLocation(${index}) done`);
 }
 
 
-// ---------------- COOKIE STORAGE ----------------
+// ---------------- LOAD PIPELINE ----------------
+// Every slot load goes through runSlotLoad:
+// - a newer load for the same slot aborts the older one (one AbortController per slot)
+// - the slot and its column show they are loading, and say so when NWS calls are retried
+// - finished loads wait for the others still in flight and are committed together,
+//   so loading three places renders the table once; COMMIT_MAX_WAIT_MS keeps one
+//   slow place from holding back the rest
+
+const COMMIT_MAX_WAIT_MS = 1500;
+
+const slotLoads = new WeakMap();   // slot element -> AbortController of its current load
+let loadsInFlight = 0;
+let pendingCommits = [];           // [{ slotEl, location, resolve }]
+let commitTimer = null;
+
+// Aborts whatever the slot is still loading (slot replaced, removed or reloaded)
+function cancelSlotLoad(slotEl) {
+  const controller = slotLoads.get(slotEl);
+  if (controller) controller.abort();
+  slotLoads.delete(slotEl);
+}
+
+/**
+ * Runs task(signal) for a slot and commits the location record it resolves to.
+ * Resolves once that record is on screen; rejects with an AbortError if a newer
+ * load for the same slot took over first.
+ */
+async function runSlotLoad(slotEl, task) {
+  cancelSlotLoad(slotEl);
+  const controller = new AbortController();
+  slotLoads.set(slotEl, controller);
+  loadsInFlight++;
+  showLoading(slotEl);
+
+  // Only retries of requests this load is waiting on
+  const onRetry = (e) => {
+    const callers = (e.detail && e.detail.callers) || [];
+    if (callers.includes(controller.signal)) showSlotRetrying(slotEl, e.detail);
+  };
+  window.addEventListener('requestretry', onRetry);
+
+  let location;
+  try {
+    location = await task(controller.signal);
+  } catch (err) {
+    // A newer load of this slot keeps its own indicator
+    if (slotLoads.get(slotEl) === controller) hideLoading(slotEl);
+    throw err;
+  } finally {
+    window.removeEventListener('requestretry', onRetry);
+    loadsInFlight--;
+    if (slotLoads.get(slotEl) === controller) slotLoads.delete(slotEl);
+    scheduleCommitFlush();
+  }
+
+  // Tasks that can't be cancelled mid-way still finish; drop their result
+  if (controller.signal.aborted) throw new DOMException('Superseded', 'AbortError');
+  return new Promise(resolve => {
+    // An uncommitted older result for this slot is replaced, not rendered
+    pendingCommits.forEach(c => { if (c.slotEl === slotEl) c.resolve(); });
+    pendingCommits = pendingCommits.filter(c => c.slotEl !== slotEl);
+    pendingCommits.push({ slotEl, location, resolve });
+    if (!commitTimer) commitTimer = setTimeout(flushCommits, COMMIT_MAX_WAIT_MS);
+  });
+}
+
+// Flushes on a microtask, after the load that just finished has queued its result
+function scheduleCommitFlush() {
+  queueMicrotask(() => {
+    if (loadsInFlight === 0 && pendingCommits.length) flushCommits();
+  });
+}
+
+function flushCommits() {
+  clearTimeout(commitTimer);
+  commitTimer = null;
+  const commits = pendingCommits;
+  pendingCommits = [];
+  if (!commits.length) return;
+
+  const slots = getLocationSlots();
+  let stored = 0;
+  commits.forEach(({ slotEl, location }) => {
+    const index = slots.indexOf(slotEl);
+    if (index === -1) {
+      console.log(`[APP] slot for ${location.label} was removed, discarding`);
+      return;
+    }
+    const inputEl = slotEl.querySelector('input');
+    if (inputEl) inputEl.value = location.label;
+    showSlotError(slotEl, null);
+    appState.locations[index] = location;
+    if (!slotLoads.has(slotEl)) hideLoading(slotEl);
+    stored++;
+    clearGlobalError('nws');
+  });
+
+  if (stored) {
+    console.log(`[APP] committing ${stored} location(s), rendering table`);
+    renumberLocationSlots();
+    renderWeatherTable(appState.locations.filter(Boolean));
+    locationStore.save(appState.locations);
+    syncUrlState();
+  }
+  commits.forEach(c => c.resolve());
+}
+
+
+// ---------------- URL STATE (shareable links) ----------------
+// ?loc=lat,lon,label (repeated, in column order)&theme=…&units=…&hourly=YYYY-MM-DD,…
+// Coordinates travel with the label so opening a link needs no geocoding.
+
+// 'hold' while starting up or restoring from history (the URL is the source, not
+// the target), 'push' afterwards so back/forward walks through comparison changes
+let urlHistoryMode = 'hold';
+
+function buildUrlParams() {
+  const params = new URLSearchParams();
+  appState.locations.filter(Boolean).forEach(loc => {
+    params.append('loc', `${Number(loc.lat).toFixed(4)},${Number(loc.lon).toFixed(4)},${loc.label || ''}`);
+  });
+  params.set('theme', getThemeMode());
+  params.set('units', getUnitSystem());
+  const hourly = getExpandedDates();
+  if (hourly.length) params.set('hourly', hourly.join(','));
+  if (getBaselineKey()) params.set('baseline', getBaselineKey());
+  if (getCurrentView() !== 'table') params.set('view', getCurrentView());
+  if (getCurrentView() === 'chart') params.set('range', getChartRange());
+  return params;
+}
+
+/**
+ * Parses the current query string. Returns null when the URL carries no app state.
+ * { locations: [{lat, lon, label}], theme, units, hourly: [dateKey], baseline, view, range }
+ */
+function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  if (![...params.keys()].some(k => ['loc', 'theme', 'units', 'hourly', 'baseline', 'view'].includes(k))) return null;
+
+  const locations = params.getAll('loc').map(value => {
+    const [lat, lon, ...rest] = value.split(',');
+    return { lat: parseFloat(lat), lon: parseFloat(lon), label: rest.join(',').trim() };
+  }).filter(loc => Number.isFinite(loc.lat) && Number.isFinite(loc.lon));
+
+  return {
+    locations,
+    theme: params.get('theme'),
+    units: params.get('units'),
+    hourly: (params.get('hourly') || '').split(',').filter(k => /^\d{4}-\d{2}-\d{2}$/.test(k)),
+    baseline: params.get('baseline'),
+    view: params.get('view'),
+    range: params.get('range')
+  };
+}
+
+// A shared link's theme, units and baseline last for the session; the saved preferences stay
+function applyUrlSettings(urlState) {
+  const sessionOnly = { persist: false };
+  if (['light', 'dark', 'system'].includes(urlState.theme)) applyTheme(urlState.theme, sessionOnly);
+  if (urlState.units) applyUnits(urlState.units, sessionOnly);
+  setExpandedDates(urlState.hourly);
+  setCurrentView(urlState.view, urlState.range);
+  setBaselineKey(urlState.baseline, sessionOnly);
+}
+
+// Drops every slot (and what it was loading) before a whole new comparison is loaded
+function clearLocationSlots() {
+  getLocationSlots().forEach(slot => {
+    cancelSlotLoad(slot);
+    slot.remove();
+  });
+  appState.locations = [];
+}
+
+// Replaces every slot with the linked locations and loads them straight from coordinates
+function loadUrlLocations(locations) {
+  clearLocationSlots();
+  ensureLocationSlots(Math.max(locations.length, 1));
+  locations.forEach((loc, index) => {
+    const input = getLocationInputElement(index);
+    if (input) input.value = loc.label;
+  });
+  renderWeatherTable([]);
+
+  // Places we've saved before keep their gridpoint, so they skip /points
+  return Promise.all(locations.map((loc, index) => {
+    const known = locationStore.find(loc.lat, loc.lon);
+    return setLocation(index, known ? { ...known, label: loc.label } : loc).catch(err => {
+      if (err.name === 'AbortError') return;
+      console.error(`[APP] URL location ${index} ERROR:`, err);
+      showSlotError(getLocationSlots()[index], err);
+    });
+  }));
+}
+
+/** Writes the current comparison into the address bar (push, or replace for settings). */
+function syncUrlState(mode) {
+  if (urlHistoryMode === 'hold') return;
+  const query = buildUrlParams().toString();
+  if (query === window.location.search.replace(/^\?/, '')) return;
+
+  const url = `${window.location.pathname}?${query}${window.location.hash}`;
+  if ((mode || urlHistoryMode) === 'push') history.pushState(null, '', url);
+  else history.replaceState(null, '', url);
+}
+
+// Ends a 'hold': record where loading ended up, then go back to pushing changes
+function releaseUrlState() {
+  urlHistoryMode = 'replace';
+  syncUrlState();
+  urlHistoryMode = 'push';
+}
+
+function initUrlState() {
+  // Settings changes update the link without adding history entries
+  ['themechange', 'unitschange', 'viewchange', 'comparechange'].forEach(type => {
+    window.addEventListener(type, () => syncUrlState('replace'));
+  });
+
+  // Back/forward: rebuild the comparison the URL describes
+  window.addEventListener('popstate', () => {
+    const urlState = readUrlState();
+    if (!urlState) return;
+    urlHistoryMode = 'hold';
+    applyUrlSettings(urlState);
+    loadUrlLocations(urlState.locations).finally(releaseUrlState);
+  });
+}
+
+
+// ---------------- AUTO-REFRESH ----------------
+// A once-a-minute tick that re-fetches each forecast when NWS has likely issued
+// a new one, re-reads station observations, flips stale badges, and rolls the
+// date rows over at local midnight.
+
+const REFRESH_TICK_MS = 60 * 1000;
+const FORECAST_ISSUE_INTERVAL_MS = 60 * 60 * 1000;  // NWS refreshes grid forecasts about hourly
+const FORECAST_RECHECK_MS = 15 * 60 * 1000;         // minimum gap between our checks
+const OBSERVATION_RECHECK_MS = 15 * 60 * 1000;      // stations mostly report hourly, some more often
+
+let refreshTimer = null;
+let renderedDayKey = null;
+let refreshRunning = false;
+
+// An hour after the last issue time, but never sooner than FORECAST_RECHECK_MS after our last check
+function nextForecastCheckAt(loc) {
+  const issued = Date.parse(loc.forecastUpdated);
+  const expected = Number.isFinite(issued) ? issued + FORECAST_ISSUE_INTERVAL_MS : 0;
+  return Math.max(expected, (loc.forecastCheckedAt || 0) + FORECAST_RECHECK_MS);
+}
+
+// Returns true when NWS handed us a newer forecast than the one on screen
+async function refreshLocationForecast(loc) {
+  try {
+    const forecastData = await fetchNWSForecast(loc.lat, loc.lon, { gridpoint: loc.gridpoint, cache: 'no-cache' });
+    const fields = buildForecastFields(forecastData);
+    const changed = fields.forecastUpdated !== loc.forecastUpdated || fields.hourlyUpdated !== loc.hourlyUpdated;
+    if (changed) Object.assign(loc, fields);
+    else loc.forecastCheckedAt = fields.forecastCheckedAt;
+    if (getLocationStatus(loc).error) setLocationStatus(loc, { error: null });
+    return changed;
+  } catch (err) {
+    console.warn(`[APP] forecast refresh failed for ${loc.label}:`, err);
+    loc.forecastCheckedAt = Date.now();
+    setLocationStatus(loc, { error: err });
+    return false;
+  }
+}
+
+// Returns true when the station reported something newer than what's on screen
+async function refreshLocationObservation(loc) {
+  loc.currentCheckedAt = Date.now();
+  try {
+    const observed = await fetchNWSObservation(loc.lat, loc.lon, { pointJson: loc.point, gridpoint: loc.gridpoint, cache: 'no-cache' });
+    const current = buildCurrentConditions(observed);
+    if (!current || (loc.current && current.timestamp === loc.current.timestamp)) return false;
+    loc.current = current;
+    return true;
+  } catch (err) {
+    console.warn(`[APP] observation refresh failed for ${loc.label}:`, err);
+    return false;
+  }
+}
+
+async function runRefreshTick() {
+  if (refreshRunning) return;
+  refreshRunning = true;
+  try {
+    // Local midnight: yesterday's row has to go, so redraw everything
+    const todayKey = formatDateKey(new Date());
+    if (renderedDayKey && renderedDayKey !== todayKey) {
+      renderWeatherTable(appState.locations.filter(Boolean));
+    }
+    renderedDayKey = todayKey;
 
-function saveLocationsToCookie() {
-    if (!navigator.cookieEnabled) return;
+    const now = Date.now();
+    const changed = new Set();
+    await Promise.all(appState.locations.filter(Boolean).map(async (loc) => {
+      if (now >= nextForecastCheckAt(loc) && await refreshLocationForecast(loc)) changed.add(loc);
+      if (now - (loc.currentCheckedAt || 0) >= OBSERVATION_RECHECK_MS && await refreshLocationObservation(loc)) changed.add(loc);
 
-    const names = appState.locations
-        .filter(Boolean)
-        .map(loc => loc.name);
+      const stale = isForecastStale(loc);
+      if (stale !== Boolean(loc.staleShown)) {
+        loc.staleShown = stale;
+        changed.add(loc);
+      }
+    }));
 
-    document.cookie = `locations=${encodeURIComponent(names.join('|'))};path=/;max-age=${60 * 60 * 24 * 30}`;
+    // Columns may have moved while we waited; map back to current positions
+    const current = appState.locations.filter(Boolean);
+    const cols = [...changed].map(loc => current.indexOf(loc)).filter(i => i !== -1);
+    if (cols.length) patchWeatherTable(current, cols);
+  } finally {
+    refreshRunning = false;
+  }
 }
 
-function loadLocationsFromCookie() {
-    if (!navigator.cookieEnabled) return null;
+function startForecastRefresh() {
+  clearInterval(refreshTimer);
+  refreshTimer = setInterval(runRefreshTick, REFRESH_TICK_MS);
 
-    const match = document.cookie.match(/(?:^|;\s*)locations=([^;]+)/);
-    if (!match) return null;
+  // Timers are throttled in background tabs; catch up as soon as we're visible again
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) runRefreshTick();
+  });
+}
+
+
+// ---------------- OFFLINE / PWA ----------------
+
+// Oldest timestamp among the stale responses currently on screen
+let staleDataAsOf = null;
+
+function initOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js')
+            .catch(err => console.warn('[APP] service worker registration failed:', err));
+    }
+
+    window.addEventListener('staledata', (e) => {
+        const asOf = e.detail && e.detail.asOf;
+        if (!(asOf instanceof Date) || isNaN(asOf)) return;
+        if (!staleDataAsOf || asOf < staleDataAsOf) staleDataAsOf = asOf;
+        showDataAsOf(staleDataAsOf);
+    });
 
-    const decoded = decodeURIComponent(match[1]);
-    return decoded.split('|').map(name => name.trim()).filter(Boolean);
+    // Connection is back: drop the banner and reload every column
+    window.addEventListener('online', () => {
+        staleDataAsOf = null;
+        hideDataAsOf();
+        appState.locations.forEach((loc, index) => {
+            if (loc) restoreLocation(index, loc);
+        });
+    });
 }
 
 
@@ -0,0 +1,201 @@
+/**
+ * autocomplete.js — type-ahead suggestions and the "did you mean" picker
+ * - One delegated handler set per location list, so slots can come and go
+ * - Debounced lookups; a newer keystroke aborts the older request
+ * - Keyboard: ↑/↓ to move, Enter to choose, Escape to close
+ * - Both the suggestions and the disambiguation picker hand the chosen
+ *   candidate ({lat, lon, label, detail}) to the onSelect callback
+ */
+
+const SUGGEST_DEBOUNCE_MS = 300;
+const SUGGEST_MIN_CHARS = 3;
+// Elements holding one location input (and its list): comparison slots, itinerary stops
+const SUGGEST_HOSTS = '.location-slot, .itinerary-stop-row';
+
+let suggestionListSeq = 0;
+
+// Per-input state: { timer, controller, candidates, activeIndex }
+const suggestState = new WeakMap();
+
+function getSuggestState(input) {
+  if (!suggestState.has(input)) {
+    suggestState.set(input, { timer: null, controller: null, candidates: [], activeIndex: -1 });
+  }
+  return suggestState.get(input);
+}
+
+function getSuggestionList(input) {
+  const slot = input.closest(SUGGEST_HOSTS);
+  let list = slot && slot.querySelector('.suggestions');
+  if (!list && slot) {
+    list = document.createElement('ul');
+    list.className = 'suggestions hidden';
+    list.id = `suggestions-${++suggestionListSeq}`;
+    list.setAttribute('role', 'listbox');
+    (slot.querySelector('.input-row') || input).after(list);
+    input.setAttribute('aria-controls', list.id);
+  }
+  return list;
+}
+
+/**
+ * Shows candidates under an input.
+ * heading: optional caption, used by the disambiguation picker
+ */
+function showSuggestions(input, candidates, heading) {
+  const state = getSuggestState(input);
+  const list = getSuggestionList(input);
+  if (!list) return;
+
+  state.candidates = candidates;
+  state.activeIndex = -1;
+
+  if (!candidates.length) {
+    closeSuggestions(input);
+    return;
+  }
+
+  list.innerHTML =
+    (heading ? `<li class="suggestions-heading" role="presentation">${escapeHtml(heading)}</li>` : '') +
+    candidates.map((c, i) => `
+      <li class="suggestion" role="option" id="${list.id}-opt-${i}" data-index="${i}" aria-selected="false">
+        <span class="suggestion-label">${escapeHtml(c.label)}</span>
+        ${c.detail ? `<span class="suggestion-detail">${escapeHtml(c.detail)}</span>` : ''}
+      </li>
+    `).join('');
+  list.classList.remove('hidden');
+  input.setAttribute('aria-expanded', 'true');
+}
+
+function closeSuggestions(input) {
+  const state = getSuggestState(input);
+  state.candidates = [];
+  state.activeIndex = -1;
+  const list = input.closest(SUGGEST_HOSTS)?.querySelector('.suggestions');
+  if (list) {
+    list.classList.add('hidden');
+    list.innerHTML = '';
+  }
+  input.setAttribute('aria-expanded', 'false');
+  input.removeAttribute('aria-activedescendant');
+}
+
+function moveActiveSuggestion(input, delta) {
+  const state = getSuggestState(input);
+  const list = input.closest(SUGGEST_HOSTS)?.querySelector('.suggestions');
+  if (!list || !state.candidates.length) return;
+
+  const count = state.candidates.length;
+  state.activeIndex = (state.activeIndex + delta + count) % count;
+
+  list.querySelectorAll('.suggestion').forEach((li, i) => {
+    const active = i === state.activeIndex;
+    li.classList.toggle('active', active);
+    li.setAttribute('aria-selected', String(active));
+    if (active) {
+      input.setAttribute('aria-activedescendant', li.id);
+      li.scrollIntoView && li.scrollIntoView({ block: 'nearest' });
+    }
+  });
+}
+
+/**
+ * Explicit picker for an ambiguous query (AmbiguousLocationError.candidates).
+ */
+function showLocationPicker(input, candidates) {
+  showSuggestions(input, candidates, 'Several places match — pick one:');
+  input.focus();
+}
+
+async function fetchSuggestionsFor(input) {
+  const state = getSuggestState(input);
+  const query = input.value.trim();
+
+  if (state.controller) state.controller.abort();
+  if (query.length < SUGGEST_MIN_CHARS) {
+    closeSuggestions(input);
+    return;
+  }
+
+  const controller = new AbortController();
+  state.controller = controller;
+  try {
+    const candidates = await searchLocationSuggestions(query, { signal: controller.signal });
+    // Ignore answers for text the user has already changed
+    if (controller.signal.aborted || input.value.trim() !== query) return;
+    showSuggestions(input, candidates);
+  } catch (err) {
+    if (!controller.signal.aborted) console.warn('[autocomplete] suggestions failed:', err);
+  } finally {
+    if (state.controller === controller) state.controller = null;
+  }
+}
+
+/**
+ * Wires suggestions into every input inside listEl.
+ * onSelect(input, candidate) is called when the user picks a candidate.
+ */
+function attachLocationAutocomplete(listEl, onSelect) {
+  function choose(input, index) {
+    const candidate = getSuggestState(input).candidates[index];
+    if (!candidate) return;
+    closeSuggestions(input);
+    input.value = candidate.label;
+    onSelect(input, candidate);
+  }
+
+  listEl.addEventListener('input', (e) => {
+    const input = e.target;
+    if (input.tagName !== 'INPUT' || input.type !== 'text') return;
+    const state = getSuggestState(input);
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => fetchSuggestionsFor(input), SUGGEST_DEBOUNCE_MS);
+  });
+
+  // Capture phase so an open list gets Enter before the slot's own "update" handler
+  listEl.addEventListener('keydown', (e) => {
+    const input = e.target;
+    if (input.tagName !== 'INPUT' || input.type !== 'text') return;
+    const state = getSuggestState(input);
+    const open = state.candidates.length > 0;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!open) return;
+      e.preventDefault();
+      moveActiveSuggestion(input, e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter') {
+      clearTimeout(state.timer);
+      if (state.controller) state.controller.abort();
+      if (open && state.activeIndex !== -1) {
+        e.preventDefault();
+        e.stopPropagation();
+        choose(input, state.activeIndex);
+      } else {
+        closeSuggestions(input);
+      }
+    } else if (e.key === 'Escape' && open) {
+      e.preventDefault();
+      closeSuggestions(input);
+    }
+  }, true);
+
+  // mousedown (not click) so the choice lands before the input's blur closes the list
+  listEl.addEventListener('mousedown', (e) => {
+    const option = e.target.closest('.suggestion');
+    if (!option) return;
+    e.preventDefault();
+    const input = option.closest(SUGGEST_HOSTS).querySelector('input');
+    choose(input, Number(option.dataset.index));
+  });
+
+  listEl.addEventListener('focusout', (e) => {
+    const input = e.target;
+    if (input.tagName !== 'INPUT' || input.type !== 'text') return;
+    setTimeout(() => {
+      if (document.activeElement !== input) closeSuggestions(input);
+    }, 150);
+  });
+}
+
+window.attachLocationAutocomplete = attachLocationAutocomplete;
+window.showLocationPicker = showLocationPicker;
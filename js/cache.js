@@ -0,0 +1,96 @@
+/* ==========================================================
+   cache.js — persistent response cache used by api.js
+   Stores parsed JSON bodies in localStorage together with their
+   validators (ETag / Last-Modified, null when the cross-origin
+   response doesn't expose them) so stale entries can be revalidated
+   with a conditional request instead of refetched.
+   Exposes window.responseCache: get, set, touch, remove, clear
+   ========================================================== */
+
+(function () {
+  var PREFIX = "wxcache:";
+  var VERSION = 1;
+
+  function storageKey(url) {
+    return PREFIX + url;
+  }
+
+  function get(url) {
+    try {
+      var raw = localStorage.getItem(storageKey(url));
+      if (!raw) return null;
+      var entry = JSON.parse(raw);
+      return entry && entry.v === VERSION ? entry : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Drops the oldest half of our entries to make room
+  function evictOldest() {
+    var entries = [];
+    for (var i = 0; i < localStorage.length; i++) {
+      var key = localStorage.key(i);
+      if (!key || key.indexOf(PREFIX) !== 0) continue;
+      var storedAt = 0;
+      try { storedAt = JSON.parse(localStorage.getItem(key)).storedAt || 0; } catch (e) {}
+      entries.push({ key: key, storedAt: storedAt });
+    }
+    entries.sort(function (a, b) { return a.storedAt - b.storedAt; });
+    entries.slice(0, Math.max(1, Math.ceil(entries.length / 2))).forEach(function (e) {
+      localStorage.removeItem(e.key);
+    });
+    return entries.length > 0;
+  }
+
+  /**
+   * Stores a response body.
+   * meta: { ttlMs, etag, lastModified }
+   */
+  function set(url, data, meta) {
+    meta = meta || {};
+    var now = Date.now();
+    var entry = {
+      v: VERSION,
+      data: data,
+      etag: meta.etag || null,
+      lastModified: meta.lastModified || null,
+      storedAt: now,
+      expiresAt: now + (meta.ttlMs || 0)
+    };
+    var raw = JSON.stringify(entry);
+    for (var attempt = 0; attempt < 3; attempt++) {
+      try {
+        localStorage.setItem(storageKey(url), raw);
+        return entry;
+      } catch (e) {
+        // Quota exceeded: make room and retry; give up quietly if nothing to evict
+        if (!evictOldest()) break;
+      }
+    }
+    console.warn("[cache] could not store", url);
+    return entry;
+  }
+
+  // Extends an entry's freshness after a 304 Not Modified
+  function touch(url, ttlMs) {
+    var entry = get(url);
+    if (!entry) return null;
+    return set(url, entry.data, { ttlMs: ttlMs, etag: entry.etag, lastModified: entry.lastModified });
+  }
+
+  function remove(url) {
+    localStorage.removeItem(storageKey(url));
+  }
+
+  function clear() {
+    var keys = [];
+    for (var i = 0; i < localStorage.length; i++) {
+      var key = localStorage.key(i);
+      if (key && key.indexOf(PREFIX) === 0) keys.push(key);
+    }
+    keys.forEach(function (k) { localStorage.removeItem(k); });
+  }
+
+  window.responseCache = { get: get, set: set, touch: touch, remove: remove, clear: clear };
+})();
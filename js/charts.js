@@ -0,0 +1,414 @@
+/**
+ * charts.js — inline SVG trend charts (no charting library or service)
+ * - Temperature panel: highs and lows per location plus a shaded RealFeel band
+ * - Precipitation panel: chance of precipitation on the same time axis
+ * - "7 days" uses dailyData; "48 hours" uses hourlyData
+ * - Colors come from CSS variables (--series-N, --text-secondary, ...), so the
+ *   chart follows the light/dark theme without re-rendering
+ * - Hover (or ←/→ when focused) shows every location's values for that time
+ */
+
+const CHART_WIDTH = 800;
+const CHART_MARGIN = { top: 12, right: 16, bottom: 26, left: 44 };
+const TEMP_PANEL_HEIGHT = 250;
+const PRECIP_PANEL_HEIGHT = 110;
+const PANEL_GAP = 14;
+const CHART_SERIES_COLORS = 6;     // --series-1 … --series-6, then they repeat
+const HOURLY_CHART_HOURS = 48;
+
+const CHART_VIEWS = ['table', 'chart', 'itinerary'];
+const CHART_RANGES = ['daily', 'hourly'];
+
+let currentView = 'table';
+let chartRange = 'daily';
+let chartModel = null;             // last rendered { xs, series } for the tooltip
+
+function getCurrentView() { return currentView; }
+function getChartRange() { return chartRange; }
+
+// °F -> active temperature unit, unrounded (the chart needs the real position)
+function chartTemp(tempF) {
+  if (tempF == null || !Number.isFinite(Number(tempF))) return null;
+  return getUnits().temp === 'C' ? fahrenheitToCelsius(Number(tempF)) : Number(tempF);
+}
+
+/* =========================
+   Data
+   ========================= */
+
+/**
+ * Lines up every location on one time axis.
+ * Returns { xs: [{ key, label }], series: [{ name, points: [{ high, low, bandHigh, bandLow, precip }] }] }
+ * where each point is null when that location has no data for that x.
+ * Daily: high/low lines, band = RealFeel high..low.
+ * Hourly: high = temperature (low unused), band = temperature..RealFeel.
+ */
+function buildChartModel(locations, range) {
+  if (range === 'hourly') {
+    const now = Date.now() - 60 * 60 * 1000;
+    const until = now + HOURLY_CHART_HOURS * 60 * 60 * 1000;
+    const byTime = locations.map(loc => {
+      const map = {};
+      Object.values((loc && loc.hourlyData) || {}).forEach(hours => hours.forEach(h => {
+        const t = Date.parse(h.startTime);
+        if (t >= now && t < until) map[t] = h;
+      }));
+      return map;
+    });
+    const times = Array.from(new Set(byTime.flatMap(m => Object.keys(m).map(Number)))).sort((a, b) => a - b);
+
+    return {
+      xs: times.map(t => {
+        const d = new Date(t);
+        return {
+          key: String(t),
+          label: d.getHours() === 0
+            ? d.toLocaleDateString(undefined, { weekday: 'short' })
+            : formatHourLabel(d.getHours()),
+          title: `${d.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })} ${formatHourLabel(d.getHours())}`
+        };
+      }),
+      series: locations.map((loc, i) => ({
+        name: loc.label || loc.name || `Location ${i + 1}`,
+        points: times.map(t => {
+          const h = byTime[i][t];
+          if (!h) return null;
+          const temp = chartTemp(h.temperature);
+          const feel = chartTemp(h.realFeel);
+          return {
+            high: temp,
+            low: null,
+            bandHigh: temp != null && feel != null ? Math.max(temp, feel) : null,
+            bandLow: temp != null && feel != null ? Math.min(temp, feel) : null,
+            feel,
+            precip: h.precipChance
+          };
+        })
+      }))
+    };
+  }
+
+  const dateKeys = deriveDateKeys(locations);
+  return {
+    xs: dateKeys.map(key => {
+      const label = formatDateLabel(key);
+      return { key, label: label.split(',')[0], title: label };
+    }),
+    series: locations.map((loc, i) => {
+      const daily = normalizeDailyMap(loc.dailyData);
+      return {
+        name: loc.label || loc.name || `Location ${i + 1}`,
+        points: dateKeys.map(key => {
+          const d = daily[key];
+          if (!d) return null;
+          return {
+            high: chartTemp(d.high),
+            low: chartTemp(d.low),
+            bandHigh: chartTemp(d.realFeelHigh),
+            bandLow: chartTemp(d.realFeelLow),
+            precip: d.precipChance
+          };
+        })
+      };
+    })
+  };
+}
+
+/* =========================
+   Scales & paths
+   ========================= */
+
+// Rounded min/max plus tick values for the temperature axis
+function temperatureScale(series) {
+  const values = series.flatMap(s => s.points.flatMap(p => p ? [p.high, p.low, p.bandHigh, p.bandLow] : []))
+    .filter(v => v != null && Number.isFinite(v));
+  if (!values.length) return null;
+
+  const span = Math.max(...values) - Math.min(...values);
+  const step = span > 60 ? 20 : span > 25 ? 10 : 5;
+  const min = Math.floor(Math.min(...values) / step) * step;
+  const max = Math.max(min + step, Math.ceil(Math.max(...values) / step) * step);
+  const ticks = [];
+  for (let v = min; v <= max; v += step) ticks.push(v);
+  return { min, max, ticks };
+}
+
+function chartX(index, count) {
+  const inner = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  return CHART_MARGIN.left + (count <= 1 ? inner / 2 : (inner * index) / (count - 1));
+}
+
+function chartY(value, min, max, top, height) {
+  return top + height - ((value - min) / (max - min || 1)) * height;
+}
+
+// Polyline path through points[i][field]; gaps in the data break the line
+function linePath(points, field, toX, toY) {
+  let d = '';
+  let pen = false;
+  points.forEach((p, i) => {
+    const v = p && p[field];
+    if (v == null || !Number.isFinite(v)) { pen = false; return; }
+    d += `${pen ? 'L' : 'M'}${toX(i).toFixed(1)},${toY(v).toFixed(1)}`;
+    pen = true;
+  });
+  return d;
+}
+
+// Closed shapes between two fields, one per unbroken run of data
+function bandPath(points, hiField, loField, toX, toY) {
+  const runs = [];
+  let run = [];
+  points.forEach((p, i) => {
+    if (p && Number.isFinite(p[hiField]) && Number.isFinite(p[loField])) run.push(i);
+    else if (run.length) { runs.push(run); run = []; }
+  });
+  if (run.length) runs.push(run);
+
+  return runs.filter(r => r.length > 1).map(r =>
+    'M' + r.map(i => `${toX(i).toFixed(1)},${toY(points[i][hiField]).toFixed(1)}`).join('L') +
+    'L' + r.slice().reverse().map(i => `${toX(i).toFixed(1)},${toY(points[i][loField]).toFixed(1)}`).join('L') + 'Z'
+  ).join('');
+}
+
+/* =========================
+   SVG
+   ========================= */
+
+function seriesClass(i) {
+  return `series-${(i % CHART_SERIES_COLORS) + 1}`;
+}
+
+function buildChartSvg(model) {
+  const { xs, series } = model;
+  const scale = temperatureScale(series);
+  if (!xs.length || !scale) return null;
+
+  const count = xs.length;
+  const toX = i => chartX(i, count);
+  const tempTop = CHART_MARGIN.top;
+  const precipTop = tempTop + TEMP_PANEL_HEIGHT + PANEL_GAP;
+  const height = precipTop + PRECIP_PANEL_HEIGHT + CHART_MARGIN.bottom;
+  const toTempY = v => chartY(v, scale.min, scale.max, tempTop, TEMP_PANEL_HEIGHT);
+  const toPrecipY = v => chartY(v, 0, 100, precipTop, PRECIP_PANEL_HEIGHT);
+  const left = CHART_MARGIN.left;
+  const right = CHART_WIDTH - CHART_MARGIN.right;
+  const unit = `°${getUnits().temp}`;
+
+  // Thin out x labels so they don't collide
+  const labelEvery = Math.max(1, Math.ceil(count / 12));
+
+  let svg = `<svg class="weather-chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" tabindex="0"
+    aria-label="Temperature, RealFeel and precipitation chance for ${escapeHtml(series.map(s => s.name).join(', '))}">`;
+
+  // Axes and grid
+  scale.ticks.forEach(t => {
+    const y = toTempY(t).toFixed(1);
+    svg += `<line class="chart-grid" x1="${left}" x2="${right}" y1="${y}" y2="${y}"/>`;
+    svg += `<text class="chart-axis-label" x="${left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${escapeHtml(Math.round(t))}${unit}</text>`;
+  });
+  [0, 50, 100].forEach(p => {
+    const y = toPrecipY(p).toFixed(1);
+    svg += `<line class="chart-grid" x1="${left}" x2="${right}" y1="${y}" y2="${y}"/>`;
+    svg += `<text class="chart-axis-label" x="${left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${p}%</text>`;
+  });
+  xs.forEach((x, i) => {
+    if (i % labelEvery) return;
+    svg += `<text class="chart-axis-label" x="${toX(i).toFixed(1)}" y="${height - 8}" text-anchor="middle">${escapeHtml(x.label)}</text>`;
+  });
+
+  // RealFeel bands first so the lines sit on top
+  series.forEach((s, i) => {
+    const band = bandPath(s.points, 'bandHigh', 'bandLow', toX, toTempY);
+    if (band) svg += `<path class="chart-band ${seriesClass(i)}" d="${band}"/>`;
+  });
+  series.forEach((s, i) => {
+    const high = linePath(s.points, 'high', toX, toTempY);
+    const low = linePath(s.points, 'low', toX, toTempY);
+    if (high) svg += `<path class="chart-line ${seriesClass(i)}" d="${high}"/>`;
+    if (low) svg += `<path class="chart-line chart-line-low ${seriesClass(i)}" d="${low}"/>`;
+  });
+
+  // Precipitation: grouped bars for days, lines for hours
+  if (count <= 14) {
+    const slot = (right - left) / Math.max(count, 1) * 0.7;
+    const barWidth = slot / Math.max(series.length, 1);
+    series.forEach((s, si) => s.points.forEach((p, i) => {
+      if (!p || p.precip == null) return;
+      const x = toX(i) - slot / 2 + si * barWidth;
+      const y = toPrecipY(p.precip);
+      svg += `<rect class="chart-bar ${seriesClass(si)}" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${Math.max(1, barWidth - 1).toFixed(1)}" height="${(toPrecipY(0) - y).toFixed(1)}"/>`;
+    }));
+  } else {
+    series.forEach((s, i) => {
+      const d = linePath(s.points, 'precip', toX, toPrecipY);
+      if (d) svg += `<path class="chart-line chart-line-precip ${seriesClass(i)}" d="${d}"/>`;
+    });
+  }
+
+  svg += `<line class="chart-guide" x1="0" x2="0" y1="${tempTop}" y2="${precipTop + PRECIP_PANEL_HEIGHT}" visibility="hidden"/>`;
+  svg += '</svg>';
+  return svg;
+}
+
+function buildChartLegend(series) {
+  return `<ul class="chart-legend">${series.map((s, i) =>
+    `<li><span class="chart-swatch ${seriesClass(i)}"></span>${escapeHtml(s.name)}</li>`).join('')}
+    <li class="chart-legend-key"><span class="chart-key-line"></span>High <span class="chart-key-line low"></span>Low <span class="chart-key-band"></span>RealFeel</li>
+  </ul>`;
+}
+
+/* =========================
+   Tooltip
+   ========================= */
+
+function formatChartPoint(p, range) {
+  if (!p) return '—';
+  const t = v => (v == null ? '—' : `${Math.round(v)}°`);
+  const precip = p.precip != null ? ` · 💧 ${escapeHtml(p.precip)}%` : '';
+  if (range === 'hourly') return `${t(p.high)} (feels ${t(p.feel)})${precip}`;
+  return `${t(p.high)}/${t(p.low)} (feels ${t(p.bandHigh)}/${t(p.bandLow)})${precip}`;
+}
+
+function showChartTooltip(container, index) {
+  const svg = container.querySelector('.weather-chart');
+  const tip = container.querySelector('.chart-tooltip');
+  if (!svg || !tip || !chartModel || !chartModel.xs[index]) return;
+
+  const x = chartX(index, chartModel.xs.length);
+  const guide = svg.querySelector('.chart-guide');
+  guide.setAttribute('x1', x);
+  guide.setAttribute('x2', x);
+  guide.setAttribute('visibility', 'visible');
+
+  tip.innerHTML = `<strong>${escapeHtml(chartModel.xs[index].title)}</strong>` +
+    chartModel.series.map((s, i) =>
+      `<div><span class="chart-swatch ${seriesClass(i)}"></span>${escapeHtml(s.name)}: ${formatChartPoint(s.points[index], chartRange)}</div>`
+    ).join('');
+  tip.hidden = false;
+
+  // Keep the tooltip on the chart: flip it left of the guide past the middle
+  const pct = (x / CHART_WIDTH) * 100;
+  tip.style.left = pct < 50 ? `${pct}%` : '';
+  tip.style.right = pct < 50 ? '' : `${100 - pct}%`;
+  container.dataset.hoverIndex = index;
+}
+
+function hideChartTooltip(container) {
+  const tip = container.querySelector('.chart-tooltip');
+  const guide = container.querySelector('.chart-guide');
+  if (tip) tip.hidden = true;
+  if (guide) guide.setAttribute('visibility', 'hidden');
+  delete container.dataset.hoverIndex;
+}
+
+// Nearest x index for a pointer position over the svg
+function chartIndexAt(svg, clientX) {
+  const rect = svg.getBoundingClientRect();
+  if (!rect.width || !chartModel) return -1;
+  const x = ((clientX - rect.left) / rect.width) * CHART_WIDTH;
+  const count = chartModel.xs.length;
+  const inner = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const i = count <= 1 ? 0 : Math.round(((x - CHART_MARGIN.left) / inner) * (count - 1));
+  return Math.max(0, Math.min(count - 1, i));
+}
+
+/* =========================
+   Rendering & view switching
+   ========================= */
+
+function getChartContainer() {
+  return document.getElementById('weather-chart-container');
+}
+
+/**
+ * Draws the chart for the given locations (only while the chart view is showing).
+ */
+function renderWeatherChart(locationsInput) {
+  const container = getChartContainer();
+  if (!container || currentView !== 'chart') return;
+
+  const locations = (Array.isArray(locationsInput) ? locationsInput : []).filter(Boolean);
+  chartModel = buildChartModel(locations, chartRange);
+  const svg = locations.length ? buildChartSvg(chartModel) : null;
+
+  const rangeButtons = CHART_RANGES.map(r => `
+    <button type="button" data-range="${r}" class="${r === chartRange ? 'active' : ''}" aria-pressed="${r === chartRange}">
+      ${r === 'daily' ? '7 days' : `${HOURLY_CHART_HOURS} hours`}
+    </button>`).join('');
+
+  container.innerHTML = `
+    <div class="chart-range-toggle" role="group" aria-label="Chart range">${rangeButtons}</div>
+    ${svg
+      ? `<div class="chart-wrapper">${svg}<div class="chart-tooltip" role="status" hidden></div></div>${buildChartLegend(chartModel.series)}`
+      : '<p class="no-data">No forecast data to chart yet</p>'}
+  `;
+}
+
+function setChartRange(range) {
+  if (!CHART_RANGES.includes(range) || range === chartRange) return;
+  chartRange = range;
+  renderWeatherChart(lastRenderedLocations);
+  window.dispatchEvent(new CustomEvent('viewchange'));
+}
+
+// Shows the container for currentView and marks its toggle button
+function applyCurrentView() {
+  const view = currentView;
+  const table = document.getElementById('weather-table-container');
+  const chart = getChartContainer();
+  const itinerary = document.getElementById('itinerary-container');
+  if (table) table.classList.toggle('hidden', view !== 'table');
+  if (chart) chart.classList.toggle('hidden', view !== 'chart');
+  if (itinerary) itinerary.classList.toggle('hidden', view !== 'itinerary');
+  document.querySelectorAll('.view-toggle [data-view]').forEach(btn => {
+    const active = btn.dataset.view === view;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', String(active));
+  });
+}
+
+/** Switches between the table, chart and itinerary views; range optionally picks 'daily' or 'hourly'. */
+function setCurrentView(view, range) {
+  currentView = CHART_VIEWS.includes(view) ? view : 'table';
+  if (CHART_RANGES.includes(range)) chartRange = range;
+  applyCurrentView();
+  renderWeatherChart(lastRenderedLocations);
+  window.dispatchEvent(new CustomEvent('viewchange'));
+}
+
+function initCharts() {
+  document.querySelectorAll('.view-toggle [data-view]').forEach(btn => {
+    btn.addEventListener('click', () => setCurrentView(btn.dataset.view));
+  });
+
+  const container = getChartContainer();
+  if (!container) return;
+
+  container.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-range]');
+    if (btn) setChartRange(btn.dataset.range);
+  });
+  container.addEventListener('pointermove', (e) => {
+    const svg = e.target.closest && e.target.closest('.weather-chart');
+    if (!svg) return;
+    const i = chartIndexAt(svg, e.clientX);
+    if (i !== -1) showChartTooltip(container, i);
+  });
+  container.addEventListener('pointerleave', () => hideChartTooltip(container));
+  container.addEventListener('keydown', (e) => {
+    if (!e.target.classList || !e.target.classList.contains('weather-chart') || !chartModel) return;
+    if (e.key === 'Escape') { hideChartTooltip(container); return; }
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    e.preventDefault();
+    const current = Number(container.dataset.hoverIndex ?? -1);
+    const next = current === -1 ? 0 : current + (e.key === 'ArrowRight' ? 1 : -1);
+    showChartTooltip(container, Math.max(0, Math.min(chartModel.xs.length - 1, next)));
+  });
+  container.addEventListener('focusout', () => hideChartTooltip(container));
+
+  applyCurrentView();
+}
+
+window.renderWeatherChart = renderWeatherChart;
+window.setCurrentView = setCurrentView;
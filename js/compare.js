@@ -0,0 +1,194 @@
+/**
+ * compare.js — baseline comparison and comfort ranking
+ * - One location can be marked as the baseline ("home"); every other column then
+ *   shows how each day differs from it: high, RealFeel and precipitation chance
+ * - Deltas come straight from the dailyData maps and are color-scaled by size
+ * - A comfort target (ideal feels-like temperature) picks the best city in each
+ *   date row and the best day for each location
+ * - The baseline is remembered by coordinates, so it survives reloads and reorders
+ */
+
+const BASELINE_STORAGE_KEY = 'baselineLocation';
+const COMFORT_STORAGE_KEY = 'comfortTarget';
+const DEFAULT_COMFORT_TARGET_F = 72;
+
+// Each percentage point of precipitation chance counts like 0.2° away from ideal,
+// so a 50% chance weighs the same as being 10° off
+const RAIN_PENALTY_PER_PCT = 0.2;
+
+// Color-scale steps: |Δ°F| of 1-4, 5-9, 10+ and |Δ%| of 1-24, 25-49, 50+
+const TEMP_DELTA_STEPS = [5, 10];
+const PRECIP_DELTA_STEPS = [25, 50];
+
+let baselineKey = localStorage.getItem(BASELINE_STORAGE_KEY) || null;
+
+function locationKey(loc) {
+  return `${Number(loc.lat).toFixed(4)},${Number(loc.lon).toFixed(4)}`;
+}
+
+function getBaselineKey() {
+  return baselineKey;
+}
+
+// key: locationKey() of the new baseline, or null to leave comparison mode
+// opts.persist: false keeps it for this session only (e.g. from a shared link)
+function setBaselineKey(key, opts) {
+  key = key || null;
+  if (key === baselineKey) return;
+  baselineKey = key;
+  if (!opts || opts.persist !== false) {
+    if (key) localStorage.setItem(BASELINE_STORAGE_KEY, key);
+    else localStorage.removeItem(BASELINE_STORAGE_KEY);
+  }
+  window.dispatchEvent(new CustomEvent('comparechange'));
+}
+
+function getComfortTargetF() {
+  const saved = localStorage.getItem(COMFORT_STORAGE_KEY);
+  return saved !== null && Number.isFinite(Number(saved)) ? Number(saved) : DEFAULT_COMFORT_TARGET_F;
+}
+
+function setComfortTargetF(tempF) {
+  if (!Number.isFinite(tempF)) return;
+  localStorage.setItem(COMFORT_STORAGE_KEY, String(Math.round(tempF)));
+  window.dispatchEvent(new CustomEvent('comparechange'));
+}
+
+/* =========================
+   Scoring
+   ========================= */
+
+// Distance from the comfort target in °F, plus the rain penalty; lower is better
+function comfortScore(day, targetF) {
+  if (!day) return null;
+  const feel = day.realFeelHigh ?? day.high;
+  if (feel == null || !Number.isFinite(feel)) return null;
+  return Math.abs(feel - targetF) + (day.precipChance || 0) * RAIN_PENALTY_PER_PCT;
+}
+
+// Index of the unique lowest score, or -1 when nothing is known or the best is tied
+function indexOfBest(scores) {
+  const known = scores.filter(s => s != null);
+  if (known.length < 2) return -1;
+  const best = Math.min(...known);
+  return scores.filter(s => s === best).length === 1 ? scores.indexOf(best) : -1;
+}
+
+/**
+ * Everything the table needs to draw the comparison:
+ *   { baselineIndex, bestCityByDate: { dateKey: col }, bestDayByCol: [dateKey|null] }
+ * locations: the rendered columns; dateKeys: the rendered rows.
+ */
+function buildComparison(locations, dateKeys) {
+  const targetF = getComfortTargetF();
+  const dailyMaps = locations.map(loc => normalizeDailyMap(loc && loc.dailyData));
+
+  const bestCityByDate = {};
+  dateKeys.forEach(key => {
+    const col = indexOfBest(dailyMaps.map(m => comfortScore(m[key], targetF)));
+    if (col !== -1) bestCityByDate[key] = col;
+  });
+
+  const bestDayByCol = dailyMaps.map(m => {
+    const i = indexOfBest(dateKeys.map(key => comfortScore(m[key], targetF)));
+    return i === -1 ? null : dateKeys[i];
+  });
+
+  const baselineIndex = baselineKey && locations.length > 1
+    ? locations.findIndex(loc => loc && locationKey(loc) === baselineKey)
+    : -1;
+
+  return { baselineIndex, bestCityByDate, bestDayByCol };
+}
+
+/* =========================
+   Rendering
+   ========================= */
+
+function deltaLevel(delta, steps) {
+  const size = Math.abs(delta);
+  return size >= steps[1] ? 3 : size >= steps[0] ? 2 : 1;
+}
+
+// "+7° warmer" / "feels 4° colder"; null when there is nothing to compare
+function renderTempDelta(value, baseValue, prefix) {
+  if (value == null || baseValue == null) return null;
+  const deltaF = value - baseValue;
+  const shown = formatTempDelta(deltaF);
+  const label = prefix ? `${prefix} ` : '';
+  if (Number(shown) === 0) return `<span class="delta delta-same">${prefix ? `${label}the same` : 'same high'}</span>`;
+
+  const warmer = deltaF > 0;
+  const cls = `delta ${warmer ? 'delta-warm' : 'delta-cold'}-${deltaLevel(deltaF, TEMP_DELTA_STEPS)}`;
+  const text = prefix
+    ? `${label}${Math.abs(shown)}° ${warmer ? 'warmer' : 'colder'}`
+    : `${warmer ? '+' : '−'}${Math.abs(shown)}° ${warmer ? 'warmer' : 'colder'}`;
+  return `<span class="${cls}">${escapeHtml(text)}</span>`;
+}
+
+function renderPrecipDelta(value, baseValue) {
+  if (value == null || baseValue == null) return null;
+  const delta = value - baseValue;
+  if (delta === 0) return null;
+  const cls = `delta ${delta > 0 ? 'delta-wet' : 'delta-dry'}-${deltaLevel(delta, PRECIP_DELTA_STEPS)}`;
+  return `<span class="${cls}">${delta > 0 ? '+' : '−'}${escapeHtml(Math.abs(delta))}% rain chance</span>`;
+}
+
+/**
+ * Differences between one day and the baseline location's same day.
+ * Returns "" when either side has no data.
+ */
+function renderDailyDeltas(day, baseDay, baseName) {
+  if (!day || !baseDay) return '';
+  const parts = [
+    renderTempDelta(day.high, baseDay.high),
+    renderTempDelta(day.realFeelHigh, baseDay.realFeelHigh, 'feels'),
+    renderPrecipDelta(day.precipChance, baseDay.precipChance)
+  ].filter(Boolean);
+  if (!parts.length) return '';
+  return `<div class="daily-deltas" title="Compared with ${escapeHtml(baseName)}">${parts.join('')}</div>`;
+}
+
+function renderComfortBadges(isBestCity, isBestDay) {
+  const badges = [];
+  if (isBestCity) badges.push('<span class="comfort-badge best-city" title="Closest to your ideal feels-like temperature on this date">★ Best city</span>');
+  if (isBestDay) badges.push('<span class="comfort-badge best-day" title="This location\'s day closest to your ideal feels-like temperature">☀ Best day</span>');
+  return badges.length ? `<div class="comfort-badges">${badges.join('')}</div>` : '';
+}
+
+// Header button that makes a column the baseline (or, on the baseline, leaves comparison mode)
+function renderBaselineToggle(col, isBaseline) {
+  return isBaseline
+    ? `<button type="button" class="baseline-toggle is-baseline" data-action="baseline" data-col="${col}" aria-pressed="true" title="Stop comparing against this location">★ Baseline</button>`
+    : `<button type="button" class="baseline-toggle" data-action="baseline" data-col="${col}" aria-pressed="false" title="Compare every other location against this one">☆ Set as baseline</button>`;
+}
+
+/* =========================
+   Settings
+   ========================= */
+
+// The comfort target input shows the active temperature unit
+function syncComfortInput() {
+  const input = document.getElementById('comfort-target');
+  const unit = document.getElementById('comfort-target-unit');
+  if (input) input.value = formatTemp(getComfortTargetF());
+  if (unit) unit.textContent = `°${getUnits().temp}`;
+}
+
+function initCompareSettings() {
+  const input = document.getElementById('comfort-target');
+  syncComfortInput();
+  window.addEventListener('unitschange', syncComfortInput);
+
+  if (input) {
+    input.addEventListener('change', () => {
+      // A cleared field puts the current target back rather than reading as 0°
+      const tempF = input.value.trim() === '' ? null : displayTempToF(input.value);
+      if (tempF == null) syncComfortInput();
+      else setComfortTargetF(tempF);
+    });
+  }
+}
+
+window.initCompareSettings = initCompareSettings;
+window.setBaselineKey = setBaselineKey;
@@ -0,0 +1,324 @@
+/**
+ * export.js — download the current comparison
+ * - CSV (one row per date × location) for spreadsheets
+ * - JSON (locations → days, plus the alerts they reference) for scripts
+ * - iCalendar: one all-day event per location and day, plus one event per alert
+ *   spanning its effective → expires window
+ * - Everything is built client-side from appState.locations; temperatures use the
+ *   active display units, like the table
+ */
+
+const EXPORT_FORMATS = {
+  csv:  { ext: 'csv',  mime: 'text/csv;charset=utf-8' },
+  json: { ext: 'json', mime: 'application/json' },
+  ics:  { ext: 'ics',  mime: 'text/calendar;charset=utf-8' }
+};
+
+const ICS_PRODID = '-//Weather Compare//Forecast Export//EN';
+const ICS_UID_DOMAIN = 'weather-compare';
+const ICS_MAX_LINE_OCTETS = 75;
+
+function exportLocationName(loc) {
+  return loc.city && loc.state ? `${loc.city}, ${loc.state}` : (loc.label || loc.name || '');
+}
+
+// °F -> active unit as a number (null when unknown)
+function exportTemp(tempF) {
+  const shown = formatTemp(tempF);
+  return shown === '' ? null : Number(shown);
+}
+
+function exportHalf(half) {
+  if (!half) return null;
+  return {
+    name: half.name,
+    temperature: exportTemp(half.temperature),
+    realFeel: exportTemp(half.realFeel),
+    precipChance: half.precipChance,
+    shortForecast: half.shortForecast,
+    detailedForecast: half.detailedForecast
+  };
+}
+
+function exportAlert(alert) {
+  const p = alert.properties;
+  return {
+    id: alertId(alert),
+    event: p.event || '',
+    severity: p.severity || '',
+    headline: p.headline || '',
+    effective: p.effective || p.onset || p.sent || null,
+    expires: p.expires || p.ends || null
+  };
+}
+
+/**
+ * The comparison as plain data:
+ *   { dateKeys, locations: [{ loc, name, days: [{ date, high, low, realFeelHigh,
+ *     realFeelLow, precipChance, day, night, alerts }], alerts }] }
+ * Dates are the rows the table shows; temperatures are in the active unit.
+ */
+function buildExportData(locationsInput) {
+  const locations = (locationsInput || []).filter(Boolean);
+  const dateKeys = deriveDateKeys(locations);
+
+  return {
+    dateKeys,
+    locations: locations.map(loc => {
+      const dailyMap = normalizeDailyMap(loc.dailyData);
+      const alerts = rankAlerts(loc.alerts);
+
+      const days = dateKeys.map(date => {
+        const d = dailyMap[date] || {};
+        return {
+          date,
+          high: exportTemp(d.high),
+          low: exportTemp(d.low),
+          realFeelHigh: exportTemp(d.realFeelHigh),
+          realFeelLow: exportTemp(d.realFeelLow),
+          precipChance: d.precipChance ?? null,
+          day: exportHalf(d.day),
+          night: exportHalf(d.night),
+          alerts: alerts.filter(a => alertAppliesOnDate(a, date))
+        };
+      });
+
+      return { loc, name: exportLocationName(loc), days, alerts };
+    })
+  };
+}
+
+/* =========================
+   CSV
+   ========================= */
+
+// Quotes when needed; a leading = + @ (or - not starting a number) is prefixed
+// with ' so spreadsheets don't evaluate forecast text as a formula
+function csvField(value) {
+  if (value == null) return '';
+  let s = String(value);
+  if (typeof value === 'string' && /^(?:[=+@\t\r]|-(?!\d))/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function exportToCsv(data) {
+  const t = `°${getUnits().temp}`;
+  const header = [
+    'Date', 'Location', 'Latitude', 'Longitude',
+    `High (${t})`, `Low (${t})`, `RealFeel High (${t})`, `RealFeel Low (${t})`,
+    'Precip Chance (%)', 'Day Conditions', 'Night Conditions', 'Alerts'
+  ];
+
+  const rows = [];
+  data.dateKeys.forEach((date, i) => {
+    data.locations.forEach(({ loc, name, days }) => {
+      const d = days[i];
+      rows.push([
+        date, name, loc.lat, loc.lon,
+        d.high, d.low, d.realFeelHigh, d.realFeelLow, d.precipChance,
+        d.day ? d.day.shortForecast : '',
+        d.night ? d.night.shortForecast : '',
+        d.alerts.map(a => a.properties.event || a.properties.headline || 'Alert').join('; ')
+      ]);
+    });
+  });
+
+  return [header, ...rows].map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/* =========================
+   JSON
+   ========================= */
+
+function exportToJson(data) {
+  const units = getUnits();
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    units: { temperature: units.temp, precipChance: '%' },
+    dates: data.dateKeys,
+    locations: data.locations.map(({ loc, name, days, alerts }) => ({
+      name,
+      lat: loc.lat,
+      lon: loc.lon,
+      forecastUpdated: loc.forecastUpdated || null,
+      days: days.map(d => ({ ...d, alerts: d.alerts.map(alertId) })),
+      alerts: alerts.map(exportAlert)
+    }))
+  }, null, 2);
+}
+
+/* =========================
+   iCalendar (RFC 5545)
+   ========================= */
+
+function icsEscape(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(dateKey) {
+  return dateKey.replace(/-/g, '');
+}
+
+function icsNextDate(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return icsDate(formatDateKey(new Date(y, m - 1, d + 1)));
+}
+
+function icsDateTime(dateLike) {
+  return new Date(dateLike).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Content lines are folded at 75 octets (UTF-8), continuation lines start with a space
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = ch.codePointAt(0) < 0x80 ? 1 : ch.codePointAt(0) < 0x800 ? 2 : ch.codePointAt(0) < 0x10000 ? 3 : 4;
+    if (octets + size > ICS_MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+function icsDaySummary(name, d) {
+  const u = `°${getUnits().temp}`;
+  const temps = d.high != null && d.low != null ? `${d.high}${u}/${d.low}${u}`
+    : d.high != null ? `${d.high}${u}` : d.low != null ? `${d.low}${u}` : '';
+  const conditions = (d.day || d.night || {}).shortForecast || '';
+  return [`${name}:`, temps, conditions].filter(Boolean).join(' ');
+}
+
+function icsDayDescription(d) {
+  const u = `°${getUnits().temp}`;
+  const lines = [];
+  if (d.realFeelHigh != null || d.realFeelLow != null) {
+    lines.push(`RealFeel: ${d.realFeelHigh ?? '–'}${u} / ${d.realFeelLow ?? '–'}${u}`);
+  }
+  if (d.precipChance != null) lines.push(`Precipitation chance: ${d.precipChance}%`);
+  if (d.day) lines.push(`${d.day.name}: ${d.day.detailedForecast || d.day.shortForecast}`);
+  if (d.night) lines.push(`${d.night.name}: ${d.night.detailedForecast || d.night.shortForecast}`);
+  if (d.alerts.length) lines.push(`Alerts: ${d.alerts.map(a => a.properties.event || 'Alert').join(', ')}`);
+  return lines.join('\n');
+}
+
+function exportToIcs(data) {
+  const stamp = icsDateTime(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  data.locations.forEach(({ loc, name, days }) => {
+    const key = locationKey(loc).replace(',', '_');
+    days.forEach(d => {
+      if (d.high == null && d.low == null && !d.day && !d.night) return;
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${d.date}_${key}@${ICS_UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(d.date)}`,
+        `DTEND;VALUE=DATE:${icsNextDate(d.date)}`,
+        `SUMMARY:${icsEscape(icsDaySummary(name, d))}`,
+        `DESCRIPTION:${icsEscape(icsDayDescription(d))}`,
+        `LOCATION:${icsEscape(name)}`,
+        `GEO:${Number(loc.lat).toFixed(4)};${Number(loc.lon).toFixed(4)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+  });
+
+  // One event per alert, even when several locations share it
+  const alertsById = new Map();
+  data.locations.forEach(({ name, alerts }) => {
+    alerts.forEach(alert => {
+      const id = alertId(alert);
+      if (!alertsById.has(id)) alertsById.set(id, { alert, places: [] });
+      alertsById.get(id).places.push(name);
+    });
+  });
+
+  alertsById.forEach(({ alert, places }, id) => {
+    const a = exportAlert(alert);
+    if (!a.effective || !a.expires) return;
+    const p = alert.properties;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${icsEscape(id || `${a.event}-${a.effective}`)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDateTime(a.effective)}`,
+      `DTEND:${icsDateTime(a.expires)}`,
+      `SUMMARY:${icsEscape(`⚠ ${a.event || 'Weather alert'} — ${places.join(' / ')}`)}`,
+      `DESCRIPTION:${icsEscape([p.headline, p.description, p.instruction].filter(Boolean).join('\n\n'))}`,
+      `LOCATION:${icsEscape(p.areaDesc || places.join(' / '))}`,
+      'CATEGORIES:WEATHER ALERT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+/* =========================
+   Download + menu
+   ========================= */
+
+function downloadFile(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// format: 'csv' | 'json' | 'ics'; returns false when there is nothing to export
+function exportComparison(format) {
+  const spec = EXPORT_FORMATS[format];
+  const data = buildExportData(appState.locations);
+  if (!spec || !data.locations.length || !data.dateKeys.length) return false;
+
+  const content = format === 'csv' ? exportToCsv(data)
+    : format === 'json' ? exportToJson(data)
+    : exportToIcs(data);
+  downloadFile(`weather-compare-${formatDateKey(new Date())}.${spec.ext}`, content, spec.mime);
+  return true;
+}
+
+function initExport() {
+  const menu = document.getElementById('export-menu');
+  if (!menu) return;
+
+  // Buttons are only usable once there is a forecast to export
+  menu.addEventListener('toggle', () => {
+    if (!menu.open) return;
+    const empty = !(appState.locations || []).some(loc => loc && loc.dailyData);
+    menu.querySelectorAll('button[data-export]').forEach(btn => { btn.disabled = empty; });
+  });
+
+  menu.addEventListener('click', e => {
+    const btn = e.target.closest('button[data-export]');
+    if (!btn) return;
+    if (exportComparison(btn.dataset.export)) menu.open = false;
+  });
+}
+
+window.initExport = initExport;
+window.exportComparison = exportComparison;
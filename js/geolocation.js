@@ -0,0 +1,102 @@
+/**
+ * geolocation.js — "where am I?" for the first location slot
+ * 1. Browser Geolocation API, when permission is (or gets) granted
+ * 2. Otherwise an IP-based lookup through a pluggable provider
+ * The coordinates are reverse-mapped through NWS /points into a "City, ST" label.
+ */
+
+const GEOLOCATION_TIMEOUT_MS = 10000;
+const DEFAULT_IP_LOCATION_URL = 'https://ipapi.co/json/';
+
+/**
+ * IP provider: an async function returning {lat, lon}, or a URL whose JSON has
+ * lat/lon or latitude/longitude. Define window.IP_LOCATION_PROVIDER before the
+ * scripts load (or call setIpLocationProvider) to swap in a local stub.
+ */
+let ipLocationProvider = window.IP_LOCATION_PROVIDER || DEFAULT_IP_LOCATION_URL;
+
+function setIpLocationProvider(provider) {
+  ipLocationProvider = provider || DEFAULT_IP_LOCATION_URL;
+}
+
+async function lookupIpLocation() {
+  if (typeof ipLocationProvider === 'function') return ipLocationProvider();
+
+  const data = await fetchWithTimeout(ipLocationProvider, { headers: { 'Accept': 'application/json' } }, 8000);
+  return {
+    lat: Number(data.latitude ?? data.lat),
+    lon: Number(data.longitude ?? data.lon)
+  };
+}
+
+// Resolves "granted" | "prompt" | "denied" | "unknown" without triggering a prompt
+async function getGeolocationPermission() {
+  try {
+    if (!navigator.permissions || !navigator.permissions.query) return 'unknown';
+    const status = await navigator.permissions.query({ name: 'geolocation' });
+    return status.state;
+  } catch (_) {
+    return 'unknown';
+  }
+}
+
+function getBrowserPosition() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Geolocation API not available'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      pos => resolve({ lat: pos.coords.latitude, lon: pos.coords.longitude }),
+      err => reject(err),
+      { enableHighAccuracy: false, timeout: GEOLOCATION_TIMEOUT_MS, maximumAge: 10 * 60 * 1000 }
+    );
+  });
+}
+
+async function labelFromNWSPoint(lat, lon) {
+  const point = await fetchNWSPoint(lat, lon);
+  const rel = point?.properties?.relativeLocation?.properties || {};
+  return rel.city && rel.state ? `${rel.city}, ${rel.state}` : '';
+}
+
+/**
+ * Finds the user's location.
+ * opts.prompt: allow the browser permission prompt (only do this from a click).
+ * Without it the browser position is used only if permission was already granted.
+ * Returns { lat, lon, label, source: 'browser' | 'ip' }
+ */
+async function detectUserLocation(opts) {
+  opts = opts || {};
+  let coords = null;
+  let source = 'browser';
+
+  const permission = await getGeolocationPermission();
+  if (permission === 'granted' || (opts.prompt && permission !== 'denied')) {
+    try {
+      coords = await getBrowserPosition();
+    } catch (err) {
+      console.warn('[GEO] browser geolocation unavailable:', err.message || err);
+    }
+  }
+
+  if (!coords) {
+    source = 'ip';
+    coords = await lookupIpLocation();
+  }
+
+  if (!coords || !Number.isFinite(coords.lat) || !Number.isFinite(coords.lon)) {
+    throw new Error('Could not determine your location');
+  }
+
+  // NWS /points wants at most 4 decimal places
+  const lat = Number(coords.lat.toFixed(4));
+  const lon = Number(coords.lon.toFixed(4));
+  const label = await labelFromNWSPoint(lat, lon);
+
+  console.log(`[GEO] detected ${label || `${lat},${lon}`} via ${source}`);
+  return { lat, lon, label, source };
+}
+
+window.detectUserLocation = detectUserLocation;
+window.setIpLocationProvider = setIpLocationProvider;
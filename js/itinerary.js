@@ -0,0 +1,395 @@
+/**
+ * itinerary.js — one traveler across several places ("where will I be, and what's the weather there")
+ * - Stops are a place plus the dates spent there; the timeline has one row per date
+ *   using that stop's dailyData
+ * - A date shared by two stops (one ends the day the next starts) is a travel day and
+ *   shows the conditions at both ends
+ * - Alerts at a stop during its dates are flagged on the row and listed above the timeline
+ * - Stops load like comparison columns (geocodeLocation → fetchLocationData) but are kept
+ *   separate from them; the stop list is kept in localStorage
+ */
+
+const ITINERARY_STORAGE_KEY = 'itinerary';
+const ITINERARY_MAX_STOPS = 10;
+const ITINERARY_MAX_DAYS = 31;
+const ITINERARY_DEFAULT_NIGHTS = 2;
+
+let itineraryStops = [];           // [{ query, start, end, lat?, lon? }] as last shown
+let itineraryPlaces = new Map();   // stopKey -> { loc } or { error }
+let itineraryController = null;    // aborts the previous build when a new one starts
+let itineraryBuilt = false;
+
+/* =========================
+   Dates
+   ========================= */
+
+// 'YYYY-MM-DD' moved by a number of days (local calendar, DST-safe)
+function shiftDateKey(dateKey, days) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return formatDateKey(new Date(y, m - 1, d + days));
+}
+
+function isDateKey(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+}
+
+function formatDateSpan(start, end) {
+  return start === end ? formatDateLabel(start) : `${formatDateLabel(start)} – ${formatDateLabel(end)}`;
+}
+
+/* =========================
+   Stops (form + storage)
+   ========================= */
+
+function loadItineraryStops() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ITINERARY_STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(s => s && typeof s.query === 'string') : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveItineraryStops(stops) {
+  localStorage.setItem(ITINERARY_STORAGE_KEY, JSON.stringify(stops));
+}
+
+// A stop picked from the suggestions (or the "several places match" picker) keeps its
+// coordinates, so it isn't geocoded - or ambiguous - again
+function renderStopRow(stop, index) {
+  const n = index + 1;
+  const coords = hasStopCoords(stop) ? ` data-lat="${stop.lat}" data-lon="${stop.lon}"` : '';
+  return `
+    <li class="itinerary-stop-row">
+      <input type="text" class="itinerary-place" value="${escapeHtml(stop.query)}"${coords} placeholder="City, ST or ZIP"
+        autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-label="Stop ${n} place">
+      <input type="date" class="itinerary-start" value="${escapeHtml(stop.start)}" aria-label="Stop ${n} first day">
+      <input type="date" class="itinerary-end" value="${escapeHtml(stop.end)}" aria-label="Stop ${n} last day">
+      <button type="button" class="itinerary-remove-stop" aria-label="Remove stop ${n}">✕</button>
+    </li>
+  `;
+}
+
+function readStopRows() {
+  return Array.from(document.querySelectorAll('#itinerary-stops .itinerary-stop-row')).map(row => {
+    const place = row.querySelector('.itinerary-place');
+    const stop = {
+      query: place.value.trim(),
+      start: row.querySelector('.itinerary-start').value,
+      end: row.querySelector('.itinerary-end').value
+    };
+    if (place.dataset.lat && place.dataset.lon) {
+      stop.lat = Number(place.dataset.lat);
+      stop.lon = Number(place.dataset.lon);
+    }
+    return stop;
+  });
+}
+
+function hasStopCoords(stop) {
+  return Number.isFinite(stop.lat) && Number.isFinite(stop.lon);
+}
+
+function renderStopRows(stops) {
+  const list = document.getElementById('itinerary-stops');
+  if (!list) return;
+  list.innerHTML = stops.map(renderStopRow).join('');
+  const addBtn = document.getElementById('itinerary-add-stop');
+  if (addBtn) addBtn.disabled = stops.length >= ITINERARY_MAX_STOPS;
+}
+
+// A new stop starts the day the previous one ends (that day is the travel day)
+function addStopRow() {
+  const stops = readStopRows();
+  if (stops.length >= ITINERARY_MAX_STOPS) return;
+  const last = stops[stops.length - 1];
+  const start = last && isDateKey(last.end) ? last.end : formatDateKey(new Date());
+  stops.push({ query: '', start, end: shiftDateKey(start, ITINERARY_DEFAULT_NIGHTS) });
+  renderStopRows(stops);
+  const inputs = document.querySelectorAll('#itinerary-stops .itinerary-place');
+  inputs[inputs.length - 1].focus();
+}
+
+// Returns a message for the first problem, or '' when the stops can be shown
+function validateStops(stops) {
+  if (!stops.length) return 'Add at least one stop.';
+  for (let i = 0; i < stops.length; i++) {
+    const s = stops[i];
+    if (!s.query) return `Stop ${i + 1} needs a place.`;
+    if (!isDateKey(s.start) || !isDateKey(s.end)) return `Stop ${i + 1} needs both dates.`;
+    if (s.end < s.start) return `Stop ${i + 1} ends before it starts.`;
+  }
+  const first = stops.reduce((min, s) => (s.start < min ? s.start : min), stops[0].start);
+  const last = stops.reduce((max, s) => (s.end > max ? s.end : max), stops[0].end);
+  if (shiftDateKey(first, ITINERARY_MAX_DAYS - 1) < last) return `Trips can span up to ${ITINERARY_MAX_DAYS} days.`;
+  return '';
+}
+
+function setItineraryStatus(message, isError) {
+  const el = document.getElementById('itinerary-status');
+  if (!el) return;
+  el.textContent = message || '';
+  el.classList.toggle('error', Boolean(isError));
+}
+
+/* =========================
+   Loading a stop
+   ========================= */
+
+/**
+ * Geocodes a stop (unless it already has coordinates) and loads it through the
+ * comparison's fetchLocationData, so the record has the same shape (label, lat, lon,
+ * periods, dailyData, alerts) and the table's cell and alert helpers apply.
+ * An ambiguous place rejects with AmbiguousLocationError, as in the comparison.
+ */
+async function fetchItineraryPlace(stop, signal) {
+  const query = stop.query;
+  const place = hasStopCoords(stop)
+    ? { lat: stop.lat, lon: stop.lon, label: query }
+    : await geocodeLocation(query, { signal });
+
+  const loc = await fetchLocationData({ query, label: place.label, lat: place.lat, lon: place.lon }, signal);
+  return { ...loc, alerts: rankAlerts(loc.alerts) };
+}
+
+// Stops naming the same place share one load
+function stopKey(stop) {
+  return hasStopCoords(stop) ? `${stop.lat},${stop.lon}` : stop.query.trim().toLowerCase();
+}
+
+/* =========================
+   Timeline
+   ========================= */
+
+/**
+ * Lines the stops up by date, from today (or the first day) to the last day.
+ * Returns { rows: [{ date, visits }], routeAlerts }, where each visit is
+ * { stopIndex, stop, loc, error, day, period, alerts, role } and role is 'stay',
+ * or 'depart' / 'arrive' / 'pass' on travel days. routeAlerts lists each alert
+ * once per stop with the dates it affects: [{ alert, stopIndex, loc, dates }].
+ */
+function buildItineraryTimeline(stops, places, todayKey) {
+  const first = stops.reduce((min, s) => (s.start < min ? s.start : min), stops[0].start);
+  const last = stops.reduce((max, s) => (s.end > max ? s.end : max), stops[0].end);
+  const rows = [];
+  const routeAlerts = new Map();    // "stop|alert id" -> entry
+
+  for (let date = first > todayKey ? first : todayKey; date <= last; date = shiftDateKey(date, 1)) {
+    const here = stops
+      .map((stop, stopIndex) => ({ stop, stopIndex }))
+      .filter(({ stop }) => stop.start <= date && date <= stop.end);
+
+    const visits = here.map(({ stop, stopIndex }, i) => {
+      const { loc = null, error = null } = places.get(stopKey(stop)) || {};
+      const role = here.length === 1 ? 'stay' : i === 0 ? 'depart' : i === here.length - 1 ? 'arrive' : 'pass';
+      const day = loc ? normalizeDailyMap(loc.dailyData)[date] || null : null;
+      const period = loc ? loc.periods.find(p => formatDateKey(p.startTime) === date) || null : null;
+      const alerts = loc ? loc.alerts.filter(a => alertAppliesOnDate(a, date)) : [];
+
+      alerts.forEach(alert => {
+        const key = `${stopIndex}|${alertId(alert)}`;
+        if (!routeAlerts.has(key)) routeAlerts.set(key, { alert, stopIndex, loc, dates: [] });
+        routeAlerts.get(key).dates.push(date);
+      });
+      return { stopIndex, stop, loc, error, day, period, alerts, role };
+    });
+
+    rows.push({ date, visits });
+  }
+
+  return {
+    rows,
+    routeAlerts: Array.from(routeAlerts.values()).sort((a, b) => compareAlerts(a.alert, b.alert))
+  };
+}
+
+const VISIT_ROLE_LABELS = { stay: '', depart: 'Leaving', arrive: 'Arriving', pass: 'Passing through' };
+
+function renderVisit(visit, loading) {
+  const name = visit.loc ? visit.loc.label : visit.stop.query;
+  const role = VISIT_ROLE_LABELS[visit.role];
+  let body;
+  if (visit.error) {
+    body = `<p class="itinerary-error">${escapeHtml(describeLoadError(visit.error))}</p>`;
+  } else if (!visit.loc) {
+    body = `<p class="no-data">${loading ? 'Loading…' : 'No forecast'}</p>`;
+  } else if (!visit.day) {
+    body = '<p class="no-data">No forecast yet — NWS forecasts reach about a week ahead</p>';
+  } else {
+    body = renderWeatherCell(visit.day, visit.period);
+  }
+
+  return `
+    <div class="itinerary-visit visit-${visit.role}">
+      <div class="itinerary-visit-place">
+        ${role ? `<span class="itinerary-role">${role}</span>` : ''}
+        <strong>${escapeHtml(name)}</strong>
+      </div>
+      ${visit.alerts.length ? `<div class="alert-row">${renderAlertBadges(visit.alerts, visit.stopIndex)}</div>` : ''}
+      ${body}
+    </div>
+  `;
+}
+
+function renderRouteAlerts(routeAlerts) {
+  if (!routeAlerts.length) return '';
+  const items = routeAlerts.map(({ alert, stopIndex, loc, dates }) => `
+    <li>
+      ${renderAlertBadges([alert], stopIndex)}
+      <span>${escapeHtml(loc.label)}, ${escapeHtml(formatDateSpan(dates[0], dates[dates.length - 1]))}</span>
+    </li>
+  `).join('');
+  return `
+    <div class="itinerary-alerts" role="note">
+      <strong>⚠ ${routeAlerts.length} alert${routeAlerts.length === 1 ? '' : 's'} along the route</strong>
+      <ul>${items}</ul>
+    </div>
+  `;
+}
+
+function renderItineraryTimeline(loading) {
+  const el = document.getElementById('itinerary-timeline');
+  if (!el) return;
+  if (!itineraryStops.length) {
+    el.innerHTML = '';
+    return;
+  }
+
+  const { rows, routeAlerts } = buildItineraryTimeline(itineraryStops, itineraryPlaces, formatDateKey(new Date()));
+  if (!rows.length) {
+    el.innerHTML = '<p class="no-data">This trip is already over.</p>';
+    return;
+  }
+
+  const body = rows.map(({ date, visits }) => {
+    const travel = visits.length > 1;
+    return `
+      <tr class="itinerary-row${travel ? ' travel-day' : ''}${visits.length ? '' : ' no-stop'}" data-date="${date}">
+        <th scope="row" class="date-cell">
+          <strong>${escapeHtml(formatDateLabel(date))}</strong>
+          ${travel ? '<span class="travel-tag">Travel day</span>' : ''}
+        </th>
+        <td>
+          ${visits.length
+            ? `<div class="itinerary-visits">${visits.map(v => renderVisit(v, loading)).join('')}</div>`
+            : '<p class="no-data">No stop planned</p>'}
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  el.innerHTML = `
+    ${renderRouteAlerts(routeAlerts)}
+    <table class="itinerary-table">
+      <thead><tr><th class="date-col">Date</th><th>Where you'll be</th></tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Shows the stops in the form as a timeline, loading every place they name.
+ * Places that fail keep their rows, with the reason instead of a forecast.
+ */
+async function buildItinerary() {
+  const stops = readStopRows();
+  const problem = validateStops(stops);
+  if (problem) {
+    setItineraryStatus(problem, true);
+    return;
+  }
+
+  if (itineraryController) itineraryController.abort();
+  const controller = new AbortController();
+  itineraryController = controller;
+
+  itineraryStops = stops.slice().sort((a, b) => a.start.localeCompare(b.start));
+  itineraryBuilt = true;
+  saveItineraryStops(stops);
+  itineraryPlaces = new Map();
+  renderItineraryTimeline(true);
+  setItineraryStatus('Loading forecasts…', false);
+
+  const keys = Array.from(new Set(stops.map(stopKey)));
+  await Promise.all(keys.map(async key => {
+    const stop = stops.find(s => stopKey(s) === key);
+    try {
+      itineraryPlaces.set(key, { loc: await fetchItineraryPlace(stop, controller.signal) });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      if (!(err instanceof AmbiguousLocationError)) console.error(`[ITINERARY] ${stop.query} ERROR:`, err);
+      itineraryPlaces.set(key, { error: err });
+    }
+    if (itineraryController === controller) renderItineraryTimeline(true);
+  }));
+
+  if (itineraryController !== controller) return;
+  itineraryController = null;
+  renderItineraryTimeline(false);
+
+  // The first ambiguous stop gets the same picker as a comparison slot
+  const ambiguous = stops.findIndex(s => itineraryPlaces.get(stopKey(s))?.error instanceof AmbiguousLocationError);
+  if (ambiguous !== -1) {
+    const input = document.querySelectorAll('#itinerary-stops .itinerary-place')[ambiguous];
+    if (input) showLocationPicker(input, itineraryPlaces.get(stopKey(stops[ambiguous])).error.candidates);
+    setItineraryStatus(`Several places match "${stops[ambiguous].query}" — pick one.`, true);
+    return;
+  }
+  const failed = keys.filter(key => itineraryPlaces.get(key)?.error).length;
+  setItineraryStatus(failed ? `${failed} of ${keys.length} places couldn't be loaded.` : '', failed > 0);
+}
+
+function initItinerary() {
+  const form = document.getElementById('itinerary-form');
+  if (!form) return;
+
+  const saved = loadItineraryStops();
+  renderStopRows(saved.length ? saved : [{ query: '', start: formatDateKey(new Date()), end: shiftDateKey(formatDateKey(new Date()), ITINERARY_DEFAULT_NIGHTS) }]);
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    buildItinerary();
+  });
+  document.getElementById('itinerary-add-stop')?.addEventListener('click', addStopRow);
+
+  // Picking a place pins its coordinates and shows the timeline again;
+  // typing over it makes the stop a plain query once more
+  const list = document.getElementById('itinerary-stops');
+  attachLocationAutocomplete(list, (input, candidate) => {
+    input.dataset.lat = candidate.lat;
+    input.dataset.lon = candidate.lon;
+    if (itineraryBuilt) buildItinerary();
+  });
+  list.addEventListener('input', (e) => {
+    if (!e.target.classList.contains('itinerary-place')) return;
+    delete e.target.dataset.lat;
+    delete e.target.dataset.lon;
+  });
+  form.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.itinerary-remove-stop');
+    if (!removeBtn) return;
+    const stops = readStopRows();
+    stops.splice(Array.from(form.querySelectorAll('.itinerary-remove-stop')).indexOf(removeBtn), 1);
+    renderStopRows(stops);
+  });
+
+  document.getElementById('itinerary-timeline')?.addEventListener('click', (e) => {
+    const alertBtn = e.target.closest('[data-alert-id]');
+    if (!alertBtn) return;
+    const stop = itineraryStops[Number(alertBtn.dataset.col)];
+    const { loc } = (stop && itineraryPlaces.get(stopKey(stop))) || {};
+    const alert = loc && loc.alerts.find(a => alertId(a) === alertBtn.dataset.alertId);
+    if (alert) openAlertPanel(alert, loc);
+  });
+
+  window.addEventListener('unitschange', () => renderItineraryTimeline(Boolean(itineraryController)));
+
+  // The saved trip loads the first time the itinerary is shown
+  const showSaved = () => {
+    if (getCurrentView() === 'itinerary' && !itineraryBuilt && saved.length) buildItinerary();
+  };
+  window.addEventListener('viewchange', showSaved);
+  showSaved();
+}
+
+window.initItinerary = initItinerary;
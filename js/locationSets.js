@@ -0,0 +1,157 @@
+/**
+ * locationSets.js — named location sets ("office sites", "family", "next week's trip")
+ * - Save the current comparison under a name, switch between sets from a dropdown,
+ *   rename or delete them; everything lives in locationStore next to the current list
+ * - Export / import all sets as a JSON file to share them with the team
+ */
+
+let getSetLocations = () => [];
+let loadSetLocations = () => {};
+
+function setStatusMessage(message, isError) {
+  const el = document.getElementById('location-set-status');
+  if (!el) return;
+  el.textContent = message || '';
+  el.classList.toggle('error', Boolean(isError));
+}
+
+// Rebuilds the dropdown; selected: name to keep selected ('' for none)
+function renderSetOptions(selected) {
+  const select = document.getElementById('location-set-select');
+  if (!select) return;
+  const sets = locationStore.listSets();
+  select.innerHTML = `<option value="">${sets.length ? 'Choose a saved set…' : 'No saved sets yet'}</option>` +
+    sets.map(set => `<option value="${escapeHtml(set.name)}">${escapeHtml(set.name)} · ${set.count}</option>`).join('');
+  select.value = sets.some(set => set.name === selected) ? selected : '';
+  syncSetButtons();
+}
+
+function selectedSetName() {
+  const select = document.getElementById('location-set-select');
+  return select ? select.value : '';
+}
+
+function syncSetButtons() {
+  const hasSelection = Boolean(selectedSetName());
+  ['location-set-rename', 'location-set-delete'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = !hasSelection;
+  });
+  const exportBtn = document.getElementById('location-set-export');
+  if (exportBtn) exportBtn.disabled = !locationStore.listSets().length;
+}
+
+// Runs a store change, reporting its message or the error it threw
+function runSetAction(action) {
+  try {
+    setStatusMessage(action(), false);
+  } catch (err) {
+    setStatusMessage(err.message, true);
+  }
+}
+
+function switchToSet(name) {
+  const entries = name && locationStore.getSet(name);
+  if (!entries) return;
+  const nameInput = document.getElementById('location-set-name');
+  if (nameInput) nameInput.value = name;
+  setStatusMessage(`Loading "${name}"…`, false);
+  Promise.resolve(loadSetLocations(entries)).then(() => {
+    if (selectedSetName() === name) setStatusMessage(`Showing "${name}".`, false);
+  });
+}
+
+function saveCurrentSet() {
+  const nameInput = document.getElementById('location-set-name');
+  const name = (nameInput && nameInput.value.trim()) || selectedSetName();
+  runSetAction(() => {
+    const existed = locationStore.getSet(name) !== null;
+    const saved = locationStore.saveSet(name, getSetLocations());
+    renderSetOptions(saved);
+    if (nameInput) nameInput.value = saved;
+    return `${existed ? 'Updated' : 'Saved'} "${saved}".`;
+  });
+}
+
+function renameSelectedSet() {
+  const from = selectedSetName();
+  const nameInput = document.getElementById('location-set-name');
+  const to = nameInput ? nameInput.value.trim() : '';
+  if (!from) return;
+  runSetAction(() => {
+    if (!to || to === from) throw new Error('Type the new name in the name box, then press Rename.');
+    const renamed = locationStore.renameSet(from, to);
+    renderSetOptions(renamed);
+    return `Renamed "${from}" to "${renamed}".`;
+  });
+}
+
+function deleteSelectedSet() {
+  const name = selectedSetName();
+  if (!name || !window.confirm(`Delete the set "${name}"? The locations on screen stay as they are.`)) return;
+  runSetAction(() => {
+    locationStore.deleteSet(name);
+    renderSetOptions('');
+    return `Deleted "${name}".`;
+  });
+}
+
+function exportAllSets() {
+  const data = locationStore.exportSets();
+  downloadFile(`weather-compare-sets-${formatDateKey(new Date())}.json`, JSON.stringify(data, null, 2), 'application/json');
+  setStatusMessage(`Exported ${data.sets.length} set${data.sets.length === 1 ? '' : 's'}.`, false);
+}
+
+async function importSetsFile(file) {
+  if (!file) return;
+  let json;
+  try {
+    json = JSON.parse(await file.text());
+  } catch (err) {
+    setStatusMessage("That file isn't valid JSON.", true);
+    return;
+  }
+  runSetAction(() => {
+    const count = locationStore.importSets(json);
+    renderSetOptions(selectedSetName());
+    return `Imported ${count} set${count === 1 ? '' : 's'}.`;
+  });
+}
+
+/**
+ * getLocations(): the loaded location records to save
+ * loadLocations(entries): replaces the comparison with a set's saved entries
+ */
+function initLocationSets(getLocations, loadLocations) {
+  getSetLocations = getLocations;
+  loadSetLocations = loadLocations;
+  renderSetOptions('');
+
+  const bind = (id, event, handler) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(event, handler);
+  };
+
+  bind('location-set-select', 'change', () => {
+    syncSetButtons();
+    switchToSet(selectedSetName());
+  });
+  bind('location-set-save', 'click', saveCurrentSet);
+  bind('location-set-rename', 'click', renameSelectedSet);
+  bind('location-set-delete', 'click', deleteSelectedSet);
+  bind('location-set-export', 'click', exportAllSets);
+  bind('location-set-name', 'keydown', (e) => {
+    if (e.key === 'Enter') saveCurrentSet();
+  });
+
+  const fileInput = document.getElementById('location-set-file');
+  bind('location-set-import', 'click', () => fileInput && fileInput.click());
+  if (fileInput) {
+    fileInput.addEventListener('change', () => {
+      importSetsFile(fileInput.files[0]);
+      fileInput.value = '';
+    });
+  }
+}
+
+window.initLocationSets = initLocationSets;
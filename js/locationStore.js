@@ -0,0 +1,289 @@
+/* ==========================================================
+   locationStore.js — the saved list of locations (localStorage)
+   Each entry keeps what it takes to reload a place without asking
+   anyone again: the original query, coordinates, the NWS gridpoint
+   (office/x/y) and the alert zone + county codes.
+   Named sets ("office sites", "family", …) are kept alongside the
+   current list and can be exported / imported as JSON.
+   The store is versioned; older formats, including the old
+   "locations" cookie of labels, are migrated when first read.
+   Exposes window.locationStore: load, save, find, toEntry, isResolved,
+   listSets, getSet, saveSet, renameSet, deleteSet, exportSets, importSets
+   ========================================================== */
+
+(function () {
+  var STORAGE_KEY = "savedLocations";
+  var VERSION = 2;
+  var LEGACY_COOKIE = "locations";
+  var EXPORT_FORMAT = "weather-compare-location-sets";
+  var MAX_SET_NAME = 60;
+
+  // The pieces of a location record worth persisting
+  function toEntry(loc) {
+    return {
+      query: loc.query || loc.label || loc.name || "",
+      label: loc.label || loc.name || "",
+      lat: loc.lat,
+      lon: loc.lon,
+      city: loc.city || "",
+      state: loc.state || "",
+      gridpoint: loc.gridpoint || null,
+      zoneCode: loc.zoneCode || null,
+      countyFIPS: loc.countyFIPS || null
+    };
+  }
+
+  // True when the entry can load its forecast straight from the gridpoint
+  function isResolved(entry) {
+    var gp = entry && entry.gridpoint;
+    return !!(gp && gp.office && Number.isFinite(gp.x) && Number.isFinite(gp.y) &&
+      entry.lat != null && entry.lon != null &&   // Number(null) is 0, which is finite
+      Number.isFinite(Number(entry.lat)) && Number.isFinite(Number(entry.lon)));
+  }
+
+  // ---------- Legacy cookie (version 0: "Label|Label|…") ----------
+
+  function readLegacyCookie() {
+    if (!navigator.cookieEnabled) return null;
+    var match = document.cookie.match(new RegExp("(?:^|;\\s*)" + LEGACY_COOKIE + "=([^;]+)"));
+    if (!match) return null;
+    return decodeURIComponent(match[1]).split("|")
+      .map(function (name) { return name.trim(); })
+      .filter(Boolean);
+  }
+
+  function clearLegacyCookie() {
+    if (navigator.cookieEnabled) document.cookie = LEGACY_COOKIE + "=;path=/;max-age=0";
+  }
+
+  /**
+   * Brings stored data up to VERSION, one step at a time.
+   * Returns null for data we can't read (including newer versions).
+   */
+  function migrate(data) {
+    if (!data || typeof data !== "object") return null;
+    var version = data.version || 0;
+
+    if (version === 0) {
+      // Labels only: these get geocoded once more, then saved in full
+      data = {
+        version: 1,
+        locations: (data.names || []).map(function (name) { return { query: name, label: name }; })
+      };
+      version = 1;
+    }
+
+    if (version === 1) {
+      data = { version: 2, locations: data.locations, sets: [] };
+      version = 2;
+    }
+
+    if (version !== VERSION || !Array.isArray(data.locations)) return null;
+    if (!Array.isArray(data.sets)) data.sets = [];
+    return data;
+  }
+
+  function readStore() {
+    try {
+      var raw = localStorage.getItem(STORAGE_KEY);
+      return raw ? migrate(JSON.parse(raw)) : null;
+    } catch (e) {
+      console.warn("[STORE] unreadable saved locations:", e);
+      return null;
+    }
+  }
+
+  function writeStore(data) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+      return true;
+    } catch (e) {
+      console.warn("[STORE] could not save locations:", e);
+      return false;
+    }
+  }
+
+  /** Saved entries in column order, or null when nothing was ever saved. */
+  function load() {
+    var data = readStore();
+    if (data) return data.locations;
+
+    var names = readLegacyCookie();
+    if (!names || !names.length) return null;
+
+    data = migrate({ version: 0, names: names });
+    if (writeStore(data)) clearLegacyCookie();
+    console.log("[STORE] migrated " + names.length + " location(s) from the cookie");
+    return data.locations;
+  }
+
+  // Reads, changes and writes back the store (starting empty when there is none)
+  function update(change) {
+    var data = readStore() || { version: VERSION, locations: [], sets: [] };
+    var result = change(data);
+    data.savedAt = new Date().toISOString();
+    writeStore(data);
+    return result;
+  }
+
+  /** Saves loaded location records (appState.locations without the empty slots). */
+  function save(locations) {
+    update(function (data) {
+      data.locations = (locations || []).filter(Boolean).map(toEntry);
+    });
+  }
+
+  // Saved entry at the same coordinates (4 decimals, as in shared links), if any
+  function find(lat, lon) {
+    var data = readStore();
+    if (!data) return null;
+    var key = Number(lat).toFixed(4) + "," + Number(lon).toFixed(4);
+    return data.locations.filter(isResolved).find(function (e) {
+      return Number(e.lat).toFixed(4) + "," + Number(e.lon).toFixed(4) === key;
+    }) || null;
+  }
+
+  // ---------- Named sets ----------
+
+  function cleanSetName(name) {
+    var clean = String(name || "").replace(/\s+/g, " ").trim().slice(0, MAX_SET_NAME);
+    if (!clean) throw new Error("Give the set a name first.");
+    return clean;
+  }
+
+  function indexOfSet(sets, name) {
+    var key = String(name || "").trim().toLowerCase();
+    for (var i = 0; i < sets.length; i++) {
+      if (sets[i].name.toLowerCase() === key) return i;
+    }
+    return -1;
+  }
+
+  // An entry from an imported file, keeping only fields we know; null when unusable
+  function entryFromImport(raw) {
+    if (!raw || typeof raw !== "object") return null;
+    var lat = Number(raw.lat);
+    var lon = Number(raw.lon);
+    var hasCoords = raw.lat != null && raw.lon != null && Number.isFinite(lat) && Number.isFinite(lon);
+    var query = typeof raw.query === "string" ? raw.query.trim() : "";
+    var label = typeof raw.label === "string" ? raw.label.trim() : "";
+    if (!hasCoords && !query && !label) return null;
+
+    var gp = raw.gridpoint;
+    var entry = toEntry({
+      query: query,
+      label: label,
+      city: typeof raw.city === "string" ? raw.city : "",
+      state: typeof raw.state === "string" ? raw.state : "",
+      gridpoint: gp && typeof gp.office === "string" && Number.isFinite(gp.x) && Number.isFinite(gp.y)
+        ? { office: gp.office, x: gp.x, y: gp.y } : null,
+      zoneCode: typeof raw.zoneCode === "string" ? raw.zoneCode : null,
+      countyFIPS: typeof raw.countyFIPS === "string" ? raw.countyFIPS : null
+    });
+    entry.lat = hasCoords ? lat : null;
+    entry.lon = hasCoords ? lon : null;
+    return entry;
+  }
+
+  /** [{ name, count, savedAt }] in the order they were created. */
+  function listSets() {
+    var data = readStore();
+    return (data ? data.sets : []).map(function (set) {
+      return { name: set.name, count: set.locations.length, savedAt: set.savedAt || null };
+    });
+  }
+
+  /** Entries of a saved set, or null. */
+  function getSet(name) {
+    var data = readStore();
+    var i = data ? indexOfSet(data.sets, name) : -1;
+    return i === -1 ? null : data.sets[i].locations.slice();
+  }
+
+  /** Saves location records under a name, replacing a set with the same name. Returns the name used. */
+  function saveSet(name, locations) {
+    var clean = cleanSetName(name);
+    var entries = (locations || []).filter(Boolean).map(toEntry);
+    if (!entries.length) throw new Error("There are no locations to save yet.");
+    return update(function (data) {
+      var set = { name: clean, savedAt: new Date().toISOString(), locations: entries };
+      var i = indexOfSet(data.sets, clean);
+      if (i === -1) data.sets.push(set);
+      else data.sets[i] = set;
+      return clean;
+    });
+  }
+
+  function renameSet(from, to) {
+    var clean = cleanSetName(to);
+    return update(function (data) {
+      var i = indexOfSet(data.sets, from);
+      if (i === -1) throw new Error("That set no longer exists.");
+      var clash = indexOfSet(data.sets, clean);
+      if (clash !== -1 && clash !== i) throw new Error("A set named \"" + data.sets[clash].name + "\" already exists.");
+      data.sets[i].name = clean;
+      return clean;
+    });
+  }
+
+  function deleteSet(name) {
+    update(function (data) {
+      var i = indexOfSet(data.sets, name);
+      if (i !== -1) data.sets.splice(i, 1);
+    });
+  }
+
+  /** Every saved set, in the format importSets reads. */
+  function exportSets() {
+    var data = readStore();
+    return {
+      format: EXPORT_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      sets: data ? data.sets : []
+    };
+  }
+
+  /**
+   * Adds the sets from an exportSets() object (or a bare array of sets).
+   * Names already in use get a " (2)", " (3)", … suffix rather than replacing anything.
+   * Returns the number of sets imported; throws when the data isn't a set export.
+   */
+  function importSets(json) {
+    var sets = Array.isArray(json) ? json : json && json.format === EXPORT_FORMAT ? json.sets : null;
+    if (!Array.isArray(sets)) throw new Error("That file isn't a Weather Compare set export.");
+
+    var incoming = sets.map(function (set) {
+      if (!set || typeof set.name !== "string" || !Array.isArray(set.locations)) return null;
+      var entries = set.locations.map(entryFromImport).filter(Boolean);
+      var name = String(set.name).replace(/\s+/g, " ").trim().slice(0, MAX_SET_NAME);
+      return name && entries.length ? { name: name, savedAt: set.savedAt || null, locations: entries } : null;
+    }).filter(Boolean);
+    if (!incoming.length) throw new Error("No usable location sets in that file.");
+
+    return update(function (data) {
+      incoming.forEach(function (set) {
+        var name = set.name;
+        for (var n = 2; indexOfSet(data.sets, name) !== -1; n++) name = set.name + " (" + n + ")";
+        set.name = name;
+        data.sets.push(set);
+      });
+      return incoming.length;
+    });
+  }
+
+  window.locationStore = {
+    load: load,
+    save: save,
+    find: find,
+    toEntry: toEntry,
+    isResolved: isResolved,
+    listSets: listSets,
+    getSet: getSet,
+    saveSet: saveSet,
+    renameSet: renameSet,
+    deleteSet: deleteSet,
+    exportSets: exportSets,
+    importSets: importSets
+  };
+})();
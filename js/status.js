@@ -0,0 +1,191 @@
+/**
+ * status.js — loading and error reporting
+ * - Each location slot has one status line (#error-N): loading, retrying or what went wrong
+ * - Columns show when they are reloading, and when their last reload failed; the
+ *   previous forecast stays on screen instead of the column disappearing
+ * - A banner (#error-global) covers problems that aren't about one place: the NWS
+ *   API being down or rate-limited, or the browser going offline
+ */
+
+// Location record -> { loading, error }; a record replaced by a fresh load starts clean
+const locationStatus = new WeakMap();
+
+// Banner messages by key ('nws', 'offline'), shown in insertion order
+const globalMessages = new Map();
+
+// User-facing text for a failed lookup; each typed api.js error gets its own advice
+function describeLoadError(err) {
+  if (err instanceof OutsideCoverageError) return 'Outside NWS coverage — only US locations have forecasts.';
+  if (err instanceof NotFoundError) return "Couldn't find that place — check the spelling or try a ZIP code.";
+  if (err instanceof AmbiguousLocationError) return 'Several places match — pick one from the list.';
+  if (err instanceof RateLimitedError) return 'Too many requests to the weather service — try again in a minute.';
+  if (err instanceof UpstreamOutageError) return 'The weather service is having trouble — try again shortly.';
+  if (err instanceof RequestTimeoutError) return 'The weather service took too long to answer — try again.';
+  if (!navigator.onLine) return "You're offline — try again once you're connected.";
+  return 'Could not load this location.';
+}
+
+// Failures of the service itself rather than of one place
+function isServiceError(err) {
+  return err instanceof UpstreamOutageError || err instanceof RateLimitedError || err instanceof RequestTimeoutError;
+}
+
+/* =========================
+   Slot status line
+   ========================= */
+
+// kind: 'loading' | 'retrying' | 'error' | null (clears the line)
+function setSlotStatus(slotEl, kind, message) {
+  const el = slotEl && slotEl.querySelector('.error-message');
+  if (!el) return;
+  el.textContent = kind ? message : '';
+  el.dataset.kind = kind || '';
+}
+
+// The loaded record behind a slot, if it has one
+function slotLocation(slotEl) {
+  const slots = Array.from(document.querySelectorAll('#location-list .location-slot'));
+  const index = slots.indexOf(slotEl);
+  return index !== -1 && window.appState ? appState.locations[index] || null : null;
+}
+
+/**
+ * Shows (or, with no error, clears) the message under a location slot.
+ * When the slot still has an earlier forecast, its column is flagged and kept.
+ */
+function showSlotError(slotEl, err) {
+  const loc = slotLocation(slotEl);
+  if (!err) {
+    setSlotStatus(slotEl, null);
+    return;
+  }
+
+  let message = describeLoadError(err);
+  if (loc) {
+    message += ` Still showing the earlier forecast for ${loc.label}.`;
+    setLocationStatus(loc, { error: err });
+  }
+  setSlotStatus(slotEl, 'error', message);
+  if (isServiceError(err)) showGlobalError('nws', 'The National Weather Service API is not responding normally. Forecasts may be out of date.');
+}
+
+function showSlotRetrying(slotEl, detail) {
+  const seconds = Math.max(1, Math.round(detail.delayMs / 1000));
+  setSlotStatus(slotEl, 'retrying', `NWS temporarily unavailable – retrying in ${seconds}s (attempt ${detail.attempt + 1})…`);
+}
+
+/* =========================
+   Loading indicators
+   ========================= */
+
+function showLoading(slotEl) {
+  if (!slotEl) return;
+  slotEl.classList.add('is-loading');
+  slotEl.querySelector('input')?.setAttribute('aria-busy', 'true');
+  setSlotStatus(slotEl, 'loading', 'Loading…');
+  const loc = slotLocation(slotEl);
+  if (loc) setLocationStatus(loc, { loading: true });
+  try { console.log('[UI] showLoading()'); } catch (_) {}
+}
+
+// Leaves an error or retry message in place; only "Loading…" is cleared
+function hideLoading(slotEl) {
+  if (!slotEl) return;
+  slotEl.classList.remove('is-loading');
+  slotEl.querySelector('input')?.removeAttribute('aria-busy');
+  const el = slotEl.querySelector('.error-message');
+  if (el && el.dataset.kind === 'loading') setSlotStatus(slotEl, null);
+  const loc = slotLocation(slotEl);
+  if (loc) setLocationStatus(loc, { loading: false });
+  try { console.log('[UI] hideLoading()'); } catch (_) {}
+}
+
+/* =========================
+   Column status (table header)
+   ========================= */
+
+function getLocationStatus(loc) {
+  return (loc && locationStatus.get(loc)) || { loading: false, error: null };
+}
+
+// patch: { loading?, error? }; error: null clears a failure
+function setLocationStatus(loc, patch) {
+  if (!loc) return;
+  locationStatus.set(loc, { ...getLocationStatus(loc), ...patch });
+  applyColumnStatus();
+}
+
+// Header badge for a column; always present (possibly empty) so it can be swapped in place
+function renderColumnStatus(loc) {
+  const { loading, error } = getLocationStatus(loc);
+  if (loading) return '<span class="column-status loading" role="status">Updating…</span>';
+  if (error) {
+    return `<span class="column-status failed" title="${escapeHtml(describeLoadError(error))}">⚠ Update failed — showing earlier data</span>`;
+  }
+  return '<span class="column-status"></span>';
+}
+
+// Refreshes the header badges of the table on screen without redrawing it
+function applyColumnStatus() {
+  const table = document.querySelector('table.forecast-table');
+  if (!table) return;
+  const locations = (lastRenderedLocations || []).filter(Boolean);
+  table.querySelectorAll(':scope > thead th[data-col]').forEach(th => {
+    const loc = locations[Number(th.dataset.col)];
+    const old = th.querySelector('.column-status');
+    if (!loc || !old) return;
+    th.classList.toggle('is-loading', getLocationStatus(loc).loading);
+    old.outerHTML = renderColumnStatus(loc);
+  });
+}
+
+/* =========================
+   Global banner
+   ========================= */
+
+function renderGlobalErrors() {
+  const el = document.getElementById('error-global');
+  if (!el) return;
+  if (!globalMessages.size) {
+    el.classList.add('hidden');
+    el.innerHTML = '';
+    return;
+  }
+  el.innerHTML = `
+    ${Array.from(globalMessages.values()).map(m => `<p>${escapeHtml(m)}</p>`).join('')}
+    <button type="button" class="error-global-close" aria-label="Dismiss">✕</button>
+  `;
+  el.classList.remove('hidden');
+}
+
+function showGlobalError(key, message) {
+  if (globalMessages.get(key) === message) return;
+  globalMessages.set(key, message);
+  renderGlobalErrors();
+}
+
+function clearGlobalError(key) {
+  if (globalMessages.delete(key)) renderGlobalErrors();
+}
+
+function initStatus() {
+  const banner = document.getElementById('error-global');
+  if (banner) {
+    banner.setAttribute('role', 'alert');
+    banner.addEventListener('click', (e) => {
+      if (!e.target.closest('.error-global-close')) return;
+      globalMessages.clear();
+      renderGlobalErrors();
+    });
+  }
+
+  const syncOnline = () => {
+    if (navigator.onLine) clearGlobalError('offline');
+    else showGlobalError('offline', "You're offline. Showing the last forecast loaded; it will refresh when you reconnect.");
+  };
+  window.addEventListener('online', syncOnline);
+  window.addEventListener('offline', syncOnline);
+  syncOnline();
+}
+
+window.initStatus = initStatus;
@@ -1,7 +1,7 @@
 /**
  * ui.js — COMPLETE, DROP-IN
  * - Works with your current api.js (NWS-only) and app.js flow
- * - Renders 3-column compare table with cell-level alert icons
+ * - Renders N-column compare table with cell-level alert icons
  * - No ES modules; browser-safe
  * - Includes theme + loading helpers
  */
@@ -144,163 +144,611 @@ function deriveDateKeys(locations) {
    Cell rendering
    ========================= */
 
+// Bucket a 0-100 precipitation chance into a color level (0 = dry … 4 = very likely)
+function precipLevel(pct) {
+  if (!Number.isFinite(pct)) return 0;
+  return Math.min(4, Math.floor(pct / 20));
+}
+
+function renderPrecipChance(pct) {
+  if (pct == null) return "";
+  return `<span class="precip precip-level-${precipLevel(pct)}" title="Max chance of precipitation">💧 ${escapeHtml(pct)}%</span>`;
+}
+
+/**
+ * Dew point, peak gust and precipitation amount for a day (from the gridpoint data).
+ * Returns "" when none of them is known.
+ */
+function renderDailyExtras(dayData) {
+  const parts = [];
+  if (dayData.dewpoint != null) {
+    parts.push(`<span class="dewpoint" title="Highest dew point">Dew pt ${escapeHtml(formatTemp(dayData.dewpoint))}°</span>`);
+  }
+  if (dayData.peakGust != null) {
+    parts.push(`<span class="gust" title="Peak wind gust">Gusts ${escapeHtml(formatWindMph(dayData.peakGust))}</span>`);
+  }
+  if (dayData.qpf != null && dayData.qpf > 0) {
+    parts.push(`<span class="qpf" title="Forecast precipitation amount">${escapeHtml(formatPrecip(dayData.qpf))}</span>`);
+  }
+  return parts.length ? `<div class="daily-extras">${parts.join("")}</div>` : "";
+}
+
+/**
+ * Renders one half of a day (the NWS "Tuesday" or "Tuesday Night" period).
+ * half: summarized period from getDailyRealFeelRange ({name, temperature, realFeel, icon, ...})
+ */
+function renderPeriodHalf(half, kind) {
+  if (!half) {
+    return `<div class="period-half ${kind} empty-half"><span class="no-data">—</span></div>`;
+  }
+
+  const wind = [half.windDirection, formatWindSpeed(half.windSpeed)].filter(Boolean).join(" ") +
+    (half.gust != null ? `, gusts to ${formatWindMph(half.gust)}` : "");
+  const tempLabel = kind === "day" ? "High" : "Low";
+
+  return `
+    <div class="period-half ${kind}">
+      <span class="period-name">${escapeHtml(half.name)}</span>
+      ${half.icon ? `<img src="${escapeHtml(half.icon)}" crossorigin="anonymous" alt="${escapeHtml(half.shortForecast)}" title="${escapeHtml(half.shortForecast)}" />` : ``}
+      <span class="temp" title="${tempLabel}">${escapeHtml(formatTemp(half.temperature))}°</span>
+      <span class="realfeel">Feels ${escapeHtml(formatTemp(half.realFeel))}°</span>
+      <span class="short-forecast">${escapeHtml(half.shortForecast)}</span>
+      ${renderPrecipChance(half.precipChance)}
+      <details class="period-details">
+        <summary>Details</summary>
+        ${half.detailedForecast ? `<p>${escapeHtml(half.detailedForecast)}</p>` : ``}
+        ${wind ? `<p class="wind">Wind: ${escapeHtml(wind)}</p>` : ``}
+        ${half.dewpoint != null ? `<p class="dewpoint">Dew point: ${escapeHtml(formatTemp(half.dewpoint))}°</p>` : ``}
+        ${half.humidity != null ? `<p class="humidity">Humidity: ${escapeHtml(half.humidity)}%</p>` : ``}
+      </details>
+    </div>
+  `;
+}
+
 /**
- * Renders the main content inside a cell (icon + temps). Safe defaults.
- * dayData: {high, low, realFeelHigh, realFeelLow, ...}
- * period:  NWS period object (for icon/shortForecast)
+ * Renders the main content inside a cell. Safe defaults.
+ * dayData: {high, low, realFeelHigh, realFeelLow, day, night, ...}
+ * period:  NWS period object (icon/shortForecast fallback when dayData has no halves)
  */
 function renderWeatherCell(dayData, period) {
+  if (dayData && (dayData.day || dayData.night)) {
+    return `
+      <div class="weather-cell split">
+        ${renderPeriodHalf(dayData.day, "day")}
+        ${renderPeriodHalf(dayData.night, "night")}
+      </div>
+      ${dayData.precipChance != null ? `<div class="daily-precip">${renderPrecipChance(dayData.precipChance)}</div>` : ``}
+      ${renderDailyExtras(dayData)}
+    `;
+  }
+
   const iconUrl   = (period && period.icon) || 'https://api.weather.gov/icons/land/day/sct?size=medium';
   const condition = (period && period.shortForecast) || '';
 
-  const hi = (dayData && (dayData.high ?? dayData.max ?? "")) + "";
-  const lo = (dayData && (dayData.low  ?? dayData.min ?? "")) + "";
-  const rfHi = (dayData && (dayData.realFeelHigh ?? dayData.feelsLikeHigh ?? dayData.feelsLike ?? "")) + "";
-  const rfLo = (dayData && (dayData.realFeelLow  ?? dayData.feelsLikeLow  ?? dayData.feelsLike ?? "")) + "";
+  const hi = formatTemp(dayData && (dayData.high ?? dayData.max));
+  const lo = formatTemp(dayData && (dayData.low  ?? dayData.min));
+  const rfHi = formatTemp(dayData && (dayData.realFeelHigh ?? dayData.feelsLikeHigh ?? dayData.feelsLike));
+  const rfLo = formatTemp(dayData && (dayData.realFeelLow  ?? dayData.feelsLikeLow  ?? dayData.feelsLike));
 
   return `
     <div class="weather-cell">
-      <img src="${escapeHtml(iconUrl)}" alt="${escapeHtml(condition)}" title="${escapeHtml(condition)}" />
+      <img src="${escapeHtml(iconUrl)}" crossorigin="anonymous" alt="${escapeHtml(condition)}" title="${escapeHtml(condition)}" />
       <span class="temp">${escapeHtml(hi)}°/${escapeHtml(lo)}°</span>
       <span class="realfeel">(Feels ${escapeHtml(rfHi)}°/${escapeHtml(rfLo)}°)</span>
+      ${renderPrecipChance(dayData && dayData.precipChance)}
+    </div>
+  `;
+}
+
+/* =========================
+   "Now" row (latest station observation)
+   ========================= */
+
+// "3° warmer than forecast"; compares with the hourly forecast for the observation time
+function renderObservedVsForecast(current, hourlyData) {
+  const forecastF = forecastTempAt(hourlyData, current.timestamp);
+  if (current.temperature == null || forecastF == null) return '';
+
+  const deltaF = current.temperature - forecastF;
+  const shown = Math.abs(Number(formatTempDelta(deltaF)));
+  const title = `Forecast for this hour: ${formatTemp(forecastF)}°`;
+  if (shown === 0) return `<div class="now-vs-forecast delta delta-same" title="${escapeHtml(title)}">As forecast</div>`;
+
+  const warmer = deltaF > 0;
+  const cls = `delta ${warmer ? 'delta-warm' : 'delta-cold'}-${deltaLevel(deltaF, TEMP_DELTA_STEPS)}`;
+  return `<div class="now-vs-forecast ${cls}" title="${escapeHtml(title)}">${shown}° ${warmer ? 'warmer' : 'colder'} than forecast</div>`;
+}
+
+/**
+ * Renders one location's latest observation.
+ * loc.current: from summarizeObservation, plus station { id, name, distanceMi }
+ */
+function renderNowCell(loc) {
+  const c = loc.current;
+  if (!c) return '<span class="no-data">No recent observation</span>';
+
+  const wind = c.windSpeed === 0
+    ? 'Calm'
+    : [c.windDirection, formatWindMph(c.windSpeed)].filter(Boolean).join(' ') +
+      (c.gust != null ? `, gusts ${formatWindMph(c.gust)}` : '');
+  const observedAt = c.timestamp ? new Date(c.timestamp) : null;
+  const station = c.station || {};
+  const stationText = [station.id, station.name].filter(Boolean).join(' · ') +
+    (station.distanceMi != null ? `, ${formatDistanceMiles(station.distanceMi)} away` : '');
+
+  return `
+    <div class="now-cell">
+      <span class="temp" title="Observed temperature">${escapeHtml(formatTemp(c.temperature))}°</span>
+      ${c.realFeel != null ? `<span class="realfeel">Feels ${escapeHtml(formatTemp(c.realFeel))}°</span>` : ''}
+      ${c.text ? `<span class="short-forecast">${escapeHtml(c.text)}</span>` : ''}
+      ${renderObservedVsForecast(c, loc.hourlyData)}
+      <div class="now-details">
+        ${c.humidity != null ? `<span>Humidity ${escapeHtml(c.humidity)}%</span>` : ''}
+        ${c.windSpeed != null ? `<span>Wind ${escapeHtml(wind)}</span>` : ''}
+        ${c.pressure != null ? `<span>Pressure ${escapeHtml(formatPressure(c.pressure))}</span>` : ''}
+      </div>
+      <div class="now-station"${observedAt && !isNaN(observedAt) ? ` title="Observed ${escapeHtml(observedAt.toLocaleString())}"` : ''}>
+        ${escapeHtml(stationText)}${observedAt && !isNaN(observedAt) ? ` · ${escapeHtml(observedAt.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' }))}` : ''}
+      </div>
     </div>
   `;
 }
 
+// The row above the forecast; omitted when no location has an observation
+function renderNowRow(locations, baselineIndex) {
+  if (!locations.some(loc => loc.current)) return '';
+  let html = '<tr class="now-row"><td class="date-cell now-label"><strong>Now</strong><span class="now-hint">observed</span></td>';
+  locations.forEach((loc, col) => {
+    html += `<td class="forecast-cell now${col === baselineIndex ? ' baseline-col' : ''}" data-col="${col}">${renderNowCell(loc)}</td>`;
+  });
+  return html + '</tr>';
+}
+
+/* =========================
+   Hourly drill-down
+   ========================= */
+
+// Date rows the user has expanded; survives re-renders of the table
+const expandedDates = new Set();
+let lastRenderedLocations = [];
+
+function formatHourLabel(hour) {
+  return new Date(2000, 0, 1, hour).toLocaleTimeString(undefined, { hour: 'numeric' });
+}
+
+/**
+ * Renders one hour for one location.
+ * hour: entry from getHourlyByDate (temperature, realFeel, wind, gust, dewpoint, precipChance, shortForecast)
+ */
+function renderHourlyCell(hour) {
+  if (!hour) return '<span class="no-data">—</span>';
+
+  const temp = formatTemp(hour.temperature);
+  const rf = formatTemp(hour.realFeel);
+  const wind = [hour.windDirection, formatWindSpeed(hour.windSpeed)].filter(Boolean).join(" ");
+  const pop = hour.precipChance ?? 0;
+
+  return `
+    <div class="hourly-cell">
+      <span class="temp">${escapeHtml(temp)}°</span>
+      <span class="realfeel">Feels ${escapeHtml(rf)}°</span>
+      <span class="wind">${escapeHtml(wind)}${hour.gust != null ? ` <span class="gust">G ${escapeHtml(formatWindMph(hour.gust))}</span>` : ""}</span>
+      ${hour.dewpoint != null ? `<span class="dewpoint">Dew pt ${escapeHtml(formatTemp(hour.dewpoint))}°</span>` : ""}
+      <span class="precip precip-level-${precipLevel(pop)}">💧 ${escapeHtml(pop)}%</span>
+      <span class="condition">${escapeHtml(hour.shortForecast)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Builds the hour-by-hour comparison for one date, one column per location.
+ */
+function renderHourlyTable(dateKey, locations) {
+  const hoursByLoc = locations.map(loc => {
+    const byHour = {};
+    const list = (loc && loc.hourlyData && loc.hourlyData[dateKey]) || [];
+    for (const h of list) byHour[h.hour] = h;
+    return byHour;
+  });
+
+  const hours = Array.from(new Set(hoursByLoc.flatMap(m => Object.keys(m).map(Number))))
+    .sort((a, b) => a - b);
+
+  if (!hours.length) {
+    return '<p class="no-data">No hourly forecast available for this date</p>';
+  }
+
+  let html = '<table class="hourly-table"><tbody>';
+  for (const hour of hours) {
+    html += `<tr><th scope="row" class="hour-col">${escapeHtml(formatHourLabel(hour))}</th>`;
+    for (const byHour of hoursByLoc) {
+      html += `<td>${renderHourlyCell(byHour[hour])}</td>`;
+    }
+    html += '</tr>';
+  }
+  html += '</tbody></table>';
+  return html;
+}
+
+function getExpandedDates() {
+  return Array.from(expandedDates).sort();
+}
+
+function setExpandedDates(dateKeys) {
+  expandedDates.clear();
+  (dateKeys || []).forEach(k => expandedDates.add(k));
+}
+
+function toggleHourlyRow(dateKey) {
+  if (expandedDates.has(dateKey)) expandedDates.delete(dateKey);
+  else expandedDates.add(dateKey);
+  renderWeatherTable(lastRenderedLocations);
+  window.dispatchEvent(new CustomEvent('viewchange', { detail: { expandedDates: getExpandedDates() } }));
+}
+
+/* =========================
+   Column reordering / removal
+   ========================= */
+
+// Grip (drag, or ←/→ when focused) and remove buttons for a location header
+function renderColumnTools(col, label, count) {
+  const move = count > 1
+    ? `<button type="button" class="column-move" data-action="move-col" data-col="${col}" aria-label="Move ${escapeHtml(label)}: use left and right arrow keys" title="Drag to reorder, or focus and press ← / →">⠿</button>`
+    : '';
+  return `<div class="column-tools">
+    ${move}
+    <button type="button" class="column-remove" data-action="remove-col" data-col="${col}" aria-label="Remove ${escapeHtml(label)}" title="Remove this location">✕</button>
+  </div>`;
+}
+
+// Asks the app to move a column; app.js re-renders the table synchronously
+function requestColumnMove(container, from, to) {
+  const count = container.querySelectorAll('table.forecast-table > thead th[data-col]').length;
+  if (to < 0 || to >= count || to === from) return;
+  window.dispatchEvent(new CustomEvent('columnmove', { detail: { from, to } }));
+}
+
+function bindColumnDrag(container) {
+  let dragFrom = null;
+  const headerOf = (e) => e.target.closest && e.target.closest('table.forecast-table > thead th[data-col]');
+  const clearMarks = () => container.querySelectorAll('th.drop-target, th.dragging')
+    .forEach(th => th.classList.remove('drop-target', 'dragging'));
+
+  container.addEventListener('dragstart', (e) => {
+    const th = headerOf(e);
+    if (!th) return;
+    dragFrom = Number(th.dataset.col);
+    th.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(dragFrom));
+  });
+
+  container.addEventListener('dragover', (e) => {
+    const th = headerOf(e);
+    if (!th || dragFrom === null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    container.querySelectorAll('th.drop-target').forEach(el => { if (el !== th) el.classList.remove('drop-target'); });
+    th.classList.toggle('drop-target', Number(th.dataset.col) !== dragFrom);
+  });
+
+  container.addEventListener('drop', (e) => {
+    const th = headerOf(e);
+    if (!th || dragFrom === null) return;
+    e.preventDefault();
+    const from = dragFrom;
+    dragFrom = null;
+    clearMarks();
+    requestColumnMove(container, from, Number(th.dataset.col));
+  });
+
+  container.addEventListener('dragend', () => {
+    dragFrom = null;
+    clearMarks();
+  });
+}
+
+// One delegated listener per container; the table itself is rebuilt on every render
+function bindTableEvents(container) {
+  if (container.dataset.eventsBound) return;
+  container.dataset.eventsBound = "1";
+
+  bindColumnDrag(container);
+
+  container.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('[data-action="remove-col"]');
+    if (removeBtn) {
+      window.dispatchEvent(new CustomEvent('columnremove', { detail: { col: Number(removeBtn.dataset.col) } }));
+      return;
+    }
+
+    const baselineBtn = e.target.closest('[data-action="baseline"]');
+    if (baselineBtn) {
+      const loc = lastRenderedLocations.filter(Boolean)[Number(baselineBtn.dataset.col)];
+      if (loc) setBaselineKey(baselineBtn.classList.contains('is-baseline') ? null : locationKey(loc));
+      return;
+    }
+
+    const alertBtn = e.target.closest('[data-alert-id]');
+    if (alertBtn) {
+      const loc = lastRenderedLocations.filter(Boolean)[Number(alertBtn.dataset.col)];
+      const alert = loc && (loc.alerts || []).find(a => alertId(a) === alertBtn.dataset.alertId);
+      if (alert) openAlertPanel(alert, loc);
+      return;
+    }
+    if (e.target.closest('a, button, details')) return;
+    const row = e.target.closest('tr.date-row');
+    if (row) toggleHourlyRow(row.dataset.date);
+  });
+
+  container.addEventListener('keydown', (e) => {
+    const moveBtn = e.target.closest && e.target.closest('[data-action="move-col"]');
+    if (moveBtn) {
+      const from = Number(moveBtn.dataset.col);
+      const last = container.querySelectorAll('table.forecast-table > thead th[data-col]').length - 1;
+      const to = { ArrowLeft: from - 1, ArrowRight: from + 1, Home: 0, End: last }[e.key];
+      if (to === undefined) return;
+      e.preventDefault();
+      requestColumnMove(container, from, to);
+      const moved = container.querySelector(`[data-action="move-col"][data-col="${to}"]`);
+      if (moved) moved.focus();
+      return;
+    }
+
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    const row = e.target.closest('tr.date-row');
+    if (!row || e.target !== row) return;
+    e.preventDefault();
+    toggleHourlyRow(row.dataset.date);
+    const again = container.querySelector(`tr.date-row[data-date="${row.dataset.date}"]`);
+    if (again) again.focus();
+  });
+}
+
+/* =========================
+   Wet-day summary
+   ========================= */
+
+/**
+ * Footer row counting the likely-wet days in the 7-day window for each location.
+ * The driest location(s) get highlighted unless every location ties.
+ */
+function renderWetDaysSummary(dateKeys, locations) {
+  const window7 = dateKeys.slice(0, 7);
+  const counts = locations.map(loc => countWetDays(normalizeDailyMap(loc && loc.dailyData), window7));
+  const known = counts.filter(c => c != null);
+  if (!known.length) return "";
+
+  const driest = Math.min(...known);
+  const allTied = driest === Math.max(...known);
+  let html = '<tfoot><tr class="wet-days-row">';
+  html += `<th scope="row" class="date-col" title="Days with a ${WET_DAY_THRESHOLD_PCT}%+ chance of precipitation">Wet days</th>`;
+  for (const count of counts) {
+    if (count == null) {
+      html += '<td class="wet-days">—</td>';
+      continue;
+    }
+    const isDriest = !allTied && count === driest;
+    html += `<td class="wet-days${isDriest ? ' driest' : ''}">${escapeHtml(count)} of ${window7.length}${isDriest ? ' <span class="driest-badge">driest</span>' : ''}</td>`;
+  }
+  html += '</tr></tfoot>';
+  return html;
+}
+
+/* =========================
+   Forecast freshness
+   ========================= */
+
+// NWS issues grid forecasts several times a day; older than this is flagged
+const FORECAST_STALE_MS = 6 * 60 * 60 * 1000;
+
+function isForecastStale(loc) {
+  const issued = Date.parse(loc && loc.forecastUpdated);
+  return Number.isFinite(issued) && Date.now() - issued > FORECAST_STALE_MS;
+}
+
+function renderForecastFreshness(loc) {
+  const issued = new Date(loc && loc.forecastUpdated);
+  if (!loc || !loc.forecastUpdated || isNaN(issued)) return '';
+
+  const label = issued.toLocaleString(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+  const stale = isForecastStale(loc);
+  return `<span class="forecast-issued${stale ? ' stale' : ''}" title="NWS forecast issued ${escapeHtml(issued.toLocaleString())}">
+    Issued ${escapeHtml(label)}${stale ? ' <span class="stale-badge">stale</span>' : ''}
+  </span>`;
+}
+
 /* =========================
    Table rendering (MAIN)
    ========================= */
+function getTableContainer() {
+  return document.getElementById('forecast-container')
+    || document.getElementById('weather-table-container')
+    || document.querySelector('.forecast-container')
+    || document.querySelector('#forecast-table-container');
+}
+
+// Last buildComparison() result; a patch that changes it must redraw every column
+let lastComparison = null;
+
+/**
+ * Builds the compare table markup; null when there are no date rows to show.
+ * Location header and body cells carry data-col so single columns can be patched.
+ */
+function buildWeatherTableHtml(locations) {
+  // Derive the date rows to render
+  const dateKeys = deriveDateKeys(locations);
+  if (!dateKeys.length) return null;
+
+  // Header
+  let html = '<table class="forecast-table"><thead><tr>';
+  html += '<th class="date-col">Date</th>';
+
+  // Filter to only real locations
+  const activeLocations = locations.filter(loc => loc && (loc.city || loc.state || loc.label));
+
+  // Baseline deltas and best day / best city marks (compare.js)
+  const comparison = buildComparison(activeLocations, dateKeys);
+  lastComparison = comparison;
+  const { baselineIndex, bestCityByDate, bestDayByCol } = comparison;
+  const baseLoc = baselineIndex !== -1 ? activeLocations[baselineIndex] : null;
+  const baseDaily = baseLoc ? normalizeDailyMap(baseLoc.dailyData) : null;
+
+  // Build header for only real, defined locations
+  for (let i = 0; i < activeLocations.length; i++) {
+    const loc = activeLocations[i];
+    const headerLabel = (loc.city && loc.state)
+      ? `${loc.city}, ${loc.state}`
+      : (loc.label || "");
+    const headerClass = ['loc-col', `loc-${i}`, i === baselineIndex ? 'baseline-col' : '', getLocationStatus(loc).loading ? 'is-loading' : '']
+      .filter(Boolean).join(' ');
+    html += `<th class="${headerClass}" data-col="${i}"${activeLocations.length > 1 ? ' draggable="true"' : ''}>
+      ${renderColumnTools(i, headerLabel, activeLocations.length)}
+      <span class="loc-name">${escapeHtml(headerLabel)}</span>
+      ${renderForecastFreshness(loc)}
+      ${renderColumnStatus(loc)}
+      ${activeLocations.length > 1 ? renderBaselineToggle(i, i === baselineIndex) : ''}
+    </th>`;
+  }
+
+  html += '</tr></thead><tbody>';
+  html += renderNowRow(activeLocations, baselineIndex);
+
+  // Build body rows
+  console.log("[UI] Rendering rows for dates:", dateKeys);
+  for (const dateKey of dateKeys) {
+    const expanded = expandedDates.has(dateKey);
+    html += `<tr class="date-row" data-date="${dateKey}" tabindex="0" aria-expanded="${expanded}" title="Show hourly forecast">`;
+    html += `<td class="date-cell"><span class="expand-caret">${expanded ? '▾' : '▸'}</span> <strong>${escapeHtml(formatDateLabel(dateKey))}</strong></td>`;
+
+    for (let col = 0; col < activeLocations.length; col++) {
+      const loc = activeLocations[col];
+
+      const dailyMap = normalizeDailyMap(loc.dailyData);
+      const day = dailyMap[dateKey] || null;
+
+      // find one representative period that starts on this dateKey
+      let period = null;
+      if (Array.isArray(loc.periods)) {
+        period = loc.periods.find(p => formatDateKey(p.startTime || p.start || p.date) === dateKey) || null;
+      }
+
+      // every alert that applies for this dateKey, most important first
+      const alertsForLoc = Array.isArray(loc.alerts) ? loc.alerts : [];
+      const alertsForDay = rankAlerts(alertsForLoc.filter(a => alertAppliesOnDate(a, dateKey)));
+      const alertHtml = renderAlertBadges(alertsForDay, col);
+
+      const main = renderWeatherCell(day, period);
+
+      const isBestCity = bestCityByDate[dateKey] === col;
+      const deltas = baseDaily && col !== baselineIndex
+        ? renderDailyDeltas(day, baseDaily[dateKey], baseLoc.label || '')
+        : '';
+      const cellClass = ['forecast-cell', col === baselineIndex ? 'baseline-col' : '', isBestCity ? 'best-city' : '']
+        .filter(Boolean).join(' ');
+
+      // Place alert ABOVE the icon+temps block
+      html += `<td class="${cellClass}" data-col="${col}">
+        <div class="cell-stack">
+          ${alertHtml ? `<div class="alert-row">${alertHtml}</div>` : ``}
+          ${renderComfortBadges(isBestCity, bestDayByCol[col] === dateKey)}
+          ${main}
+          ${deltas}
+        </div>
+      </td>`;
+    }
+
+    html += '</tr>';
+
+    if (expanded) {
+      html += `<tr class="hourly-row" data-date="${dateKey}">
+        <td colspan="${activeLocations.length + 1}">${renderHourlyTable(dateKey, activeLocations)}</td>
+      </tr>`;
+    }
+  }
+
+  html += '</tbody>';
+  html += renderWetDaysSummary(dateKeys, activeLocations);
+  html += '</table>';
+  return html;
+}
+
 function renderWeatherTable(locationsInput) {
   try {
-    const container = document.getElementById('forecast-container')
-      || document.getElementById('weather-table-container')
-      || document.querySelector('.forecast-container')
-      || document.querySelector('#forecast-table-container');
+    const container = getTableContainer();
     if (!container) {
       console.error("[UI] renderWeatherTable: container #weather-table-container not found.");
       return;
     }
 
-    // Normalize locations to exactly 3 columns (undefined -> empty)
-    const locations = [locationsInput[0] || null, locationsInput[1] || null, locationsInput[2] || null];
+    lastRenderedLocations = locationsInput;
+    bindTableEvents(container);
 
-    // Derive the date rows to render
-    const dateKeys = deriveDateKeys(locations);
-    if (!dateKeys.length) {
-      container.innerHTML = '<p class="no-data">No weather data available</p>';
+    // One column per loaded location, in list order
+    const locations = (locationsInput || []).filter(Boolean);
+    container.innerHTML = buildWeatherTableHtml(locations) || '<p class="no-data">No weather data available</p>';
+
+    // The chart view (charts.js) draws from the same data
+    renderWeatherChart(locations);
+
+  } catch (err) {
+    console.error("[UI] renderWeatherTable ERROR:", err);
+  }
+}
+
+/**
+ * Re-renders only the given columns (indexes into the filtered location list).
+ * Falls back to a full render when the row or column layout has changed.
+ */
+function patchWeatherTable(locationsInput, changedCols) {
+  try {
+    const container = getTableContainer();
+    const table = container && container.querySelector('table.forecast-table');
+    const locations = (locationsInput || []).filter(Boolean);
+    const previousComparison = JSON.stringify(lastComparison);
+    const html = table && buildWeatherTableHtml(locations);
+    if (!html) {
+      renderWeatherTable(locationsInput);
       return;
     }
 
-    // Header
-    let html = '<table class="forecast-table"><thead><tr>';
-    html += '<th class="date-col">Date</th>';
+    const scratch = document.createElement('div');
+    scratch.innerHTML = html;
+    const fresh = scratch.querySelector('table');
 
-    // Filter to only real locations
-    const activeLocations = locations.filter(loc => loc && (loc.city || loc.state || loc.label));
-
-    // Build header for only real, defined locations
-    for (let i = 0; i < activeLocations.length; i++) {
-      const loc = activeLocations[i];
-      const headerLabel = (loc.city && loc.state)
-        ? `${loc.city}, ${loc.state}`
-        : (loc.label || "");
-      html += `<th class="loc-col loc-${i}">${escapeHtml(headerLabel)}</th>`;
+    const rowKeys = t => Array.from(t.querySelectorAll(':scope > tbody > tr')).map(r => `${r.className}|${r.dataset.date || ''}`).join(',');
+    const colCount = t => t.querySelectorAll(':scope > thead th[data-col]').length;
+    if (rowKeys(fresh) !== rowKeys(table) || colCount(fresh) !== colCount(table)) {
+      renderWeatherTable(locationsInput);
+      return;
     }
 
-    html += '</tr></thead><tbody>';
-
-    // Build body rows
-    console.log("[UI] Rendering rows for dates:", dateKeys);
-    for (const dateKey of dateKeys) {
-      html += `<tr class="date-row" data-date="${dateKey}">`;
-      html += `<td class="date-cell"><strong>${escapeHtml(formatDateLabel(dateKey))}</strong></td>`;
-
-      for (let col = 0; col < activeLocations.length; col++) {
-        const loc = locations[col];
-
-        if (!loc) {
-          html += `<td class="forecast-cell empty-cell">—</td>`;
-          continue;
-        }
-
-        const dailyMap = normalizeDailyMap(loc.dailyData);
-        const day = dailyMap[dateKey] || null;
-
-        // find one representative period that starts on this dateKey
-        let period = null;
-        if (Array.isArray(loc.periods)) {
-          period = loc.periods.find(p => formatDateKey(p.startTime || p.start || p.date) === dateKey) || null;
-        }
-
-        // find an alert that applies for this dateKey
-        const alertsForLoc = Array.isArray(loc.alerts) ? loc.alerts : [];
-        console.log(`[UI] Checking alerts for ${dateKey}, col ${col}:`, alertsForLoc.length, 'alerts');
-        const alertForDay = alertsForLoc.find(a => alertAppliesOnDate(a, dateKey));
-
-        let alertHtml = "";
-
-        if (alertForDay && alertForDay.properties) {
-          const p = alertForDay.properties;
-
-          // UNFUCKING: Ensure location has countyFIPS and zoneCode set, using the point metadata if present in loc.point
-          if (!loc.countyFIPS && loc.point && loc.point.properties && loc.point.properties.county) {
-            loc.countyFIPS = codeFromZoneUrl(loc.point.properties.county);
-          }
-          if (!loc.zoneCode && loc.point && loc.point.properties && loc.point.properties.forecastZone) {
-            loc.zoneCode = codeFromZoneUrl(loc.point.properties.forecastZone);
-          }
-
-console.log("zoneCode: " + loc.zoneCode);
-console.log("CountyFIPs: " + loc.countyFIPS);
-
-          // Always prefer location object for NWS codes
-          const zoneCode = loc.zoneCode || p.zoneId || p.zone || (p.geocode && p.geocode.UGC && p.geocode.UGC[0]) || '';
-          const countyCode = loc.countyFIPS ||
-            ((p.geocode && Array.isArray(p.geocode.FIPS6) && p.geocode.FIPS6[0]) ? p.geocode.FIPS6[0] :
-              (typeof p.county === "string" && p.county.length > 0 ? codeFromZoneUrl(p.county) : ''));
-
-          const fireWxZone = zoneCode;
-          const localPlace1 = (loc.city ? `${loc.city} ${loc.state}` : loc.label) || "";
-          const product1 = p.event || p.headline || "Weather Alert";
-          const lat = loc.lat || '';
-          const lon = loc.lon || '';
-          function encode(val) { return encodeURIComponent(val || ''); }
-
-          let forecastUrl = '';
-          if (zoneCode && countyCode && lat && lon) {
-            forecastUrl = `https://forecast.weather.gov/showsigwx.php?warnzone=${encode(zoneCode)}&warncounty=${encode(countyCode)}&firewxzone=${encode(fireWxZone)}&local_place1=${encode(localPlace1)}&product1=${encode(product1).replace(/%20/g, '+')}&lat=${encode(lat)}&lon=${encode(lon)}`;
-            console.log("Forecast product URL:", forecastUrl);
-          }
-
-          const link = forecastUrl || p['@id'] || p.id || p.link || p.url || "";
-          const title = p.headline || p.event || "Weather Alert";
-
-          alertHtml = `<a class="alert-icon alert-clickable"
-            href="${escapeHtml(link)}"
-            target="_blank"
-            rel="noopener noreferrer"
-            title="${escapeHtml(title)}">⚠️</a>`;
-        }
-
-        const main = renderWeatherCell(day, period);
-
-        // Place alert ABOVE the icon+temps block
-        html += `<td class="forecast-cell">
-          <div class="cell-stack">
-            ${alertHtml ? `<div class="alert-row">${alertHtml}</div>` : ``}
-            ${main}
-          </div>
-        </td>`;
-      }
+    // Deltas and best-day marks depend on other columns; if they moved, redraw them all
+    if (JSON.stringify(lastComparison) !== previousComparison || changedCols.includes(lastComparison.baselineIndex)) {
+      changedCols = locations.map((_, i) => i);
+    }
 
-      html += '</tr>';
+    lastRenderedLocations = locationsInput;
+    for (const col of changedCols) {
+      const selector = `:scope > thead > tr > [data-col="${col}"], :scope > tbody > tr > [data-col="${col}"]`;
+      const oldCells = table.querySelectorAll(selector);
+      const newCells = fresh.querySelectorAll(selector);
+      oldCells.forEach((cell, i) => { if (newCells[i]) cell.replaceWith(newCells[i]); });
     }
 
-    html += '</tbody></table>';
-    container.innerHTML = html;
+    // Hourly rows and the wet-day footer span every column; swap them whole
+    const oldHourly = table.querySelectorAll(':scope > tbody > tr.hourly-row');
+    const newHourly = fresh.querySelectorAll(':scope > tbody > tr.hourly-row');
+    oldHourly.forEach((row, i) => row.replaceWith(newHourly[i]));
+    const oldFoot = table.querySelector(':scope > tfoot');
+    const newFoot = fresh.querySelector(':scope > tfoot');
+    if (oldFoot) oldFoot.remove();
+    if (newFoot) table.appendChild(newFoot);
 
+    renderWeatherChart(locations);
   } catch (err) {
-    console.error("[UI] renderWeatherTable ERROR:", err);
+    console.error("[UI] patchWeatherTable ERROR:", err);
+    renderWeatherTable(locationsInput);
   }
 }
 
@@ -316,26 +764,75 @@ function codeFromZoneUrl(zoneUrl) {
 }
 
 /* =========================
-   Loading helpers (match your logs)
+   Location inputs
+   ========================= */
+
+/**
+ * Builds one location input group. Buttons carry data-action and are
+ * handled by a delegated listener in app.js, so slots can come and go.
+ */
+function createLocationSlot() {
+  const group = document.createElement('div');
+  group.className = 'input-group location-slot';
+  group.innerHTML = `
+    <div class="input-row">
+      <input type="text" autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false" />
+      <button type="button" class="remove-location" data-action="remove" title="Remove location" aria-label="Remove location">✕</button>
+    </div>
+    <button type="button" class="update-location" data-action="update">Add</button>
+    <span class="error-message" aria-live="polite"></span>
+  `;
+  return group;
+}
+
+// Re-applies ids, labels and placeholders after slots are added, removed or filled
+function renumberLocationSlots() {
+  const slots = document.querySelectorAll('#location-list .location-slot');
+  slots.forEach((group, i) => {
+    const input = group.querySelector('input');
+    input.id = `location-${i + 1}`;
+    input.placeholder = i === 0 ? 'City or ZIP (auto-detected)' : 'Add another location';
+    input.setAttribute('aria-label', `Location ${i + 1}`);
+    group.querySelector('.error-message').id = `error-${i + 1}`;
+    input.setAttribute('aria-describedby', `error-${i + 1}`);
+    group.querySelector('[data-action="update"]').textContent =
+      (window.appState && appState.locations[i]) ? 'Update' : 'Add';
+  });
+}
+
+/* =========================
+   Offline / stale data banner
    ========================= */
 
-function showLoading() {
-  const el = document.getElementById('loading-overlay');
-  if (el) el.style.display = 'block';
-  try { console.log('[UI] showLoading()'); } catch (_) {}
+function showDataAsOf(asOf) {
+  const el = document.getElementById('data-as-of');
+  if (!el || !(asOf instanceof Date) || isNaN(asOf)) return;
+
+  const when = asOf.toLocaleString(undefined, {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+  });
+  const reason = navigator.onLine === false ? "You're offline" : "Couldn't reach the weather service";
+  el.textContent = `${reason} — showing data as of ${when}`;
+  el.classList.remove('hidden');
 }
 
-function hideLoading() {
-  const el = document.getElementById('loading-overlay');
-  if (el) el.style.display = 'none';
-  try { console.log('[UI] hideLoading()'); } catch (_) {}
+function hideDataAsOf() {
+  const el = document.getElementById('data-as-of');
+  if (el) el.classList.add('hidden');
 }
 
 /* =========================
    Theme handling (match your logs)
    ========================= */
 
-function applyTheme(mode) {
+let currentThemeMode = 'system';
+
+function getThemeMode() {
+  return currentThemeMode;
+}
+
+// opts.persist: false applies the theme for this session only (e.g. from a shared link)
+function applyTheme(mode, opts) {
   // mode: 'light' | 'dark' | 'system'
   const root = document.documentElement;
   let effective = mode;
@@ -344,7 +841,9 @@ function applyTheme(mode) {
     effective = prefersDark ? 'dark' : 'light';
   }
   root.setAttribute('data-theme', effective);
-  localStorage.setItem('theme', mode);
+  currentThemeMode = mode;
+  if (!opts || opts.persist !== false) localStorage.setItem('theme', mode);
+  window.dispatchEvent(new CustomEvent('themechange', { detail: { mode, effective } }));
 }
 
 function initTheme() {
@@ -391,6 +890,9 @@ function initTheme() {
    Public API (if you need to call manually)
    ========================= */
 window.renderWeatherTable = renderWeatherTable;
+window.patchWeatherTable = patchWeatherTable;
 window.initTheme = initTheme;
 window.showLoading = showLoading;
 window.hideLoading = hideLoading;
+window.showDataAsOf = showDataAsOf;
+window.hideDataAsOf = hideDataAsOf;
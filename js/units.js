@@ -0,0 +1,128 @@
+/**
+ * units.js — display unit system (imperial / metric / SI)
+ * - Calculations stay in °F / mph / inches; everything converts here at render time
+ * - Preference is saved in localStorage like the theme
+ * - Fires a "unitschange" event on window so views can re-render
+ */
+
+const UNIT_SYSTEMS = {
+  imperial: { temp: "F", wind: "mph",  precip: "in", pressure: "inHg", distance: "mi", label: "Imperial (°F, mph, in)" },
+  metric:   { temp: "C", wind: "km/h", precip: "mm", pressure: "hPa",  distance: "km", label: "Metric (°C, km/h, mm)" },
+  si:       { temp: "C", wind: "m/s",  precip: "mm", pressure: "hPa",  distance: "km", label: "SI (°C, m/s, mm)" }
+};
+
+let currentUnitSystem = "imperial";
+
+function getUnitSystem() {
+  return currentUnitSystem;
+}
+
+function getUnits() {
+  return UNIT_SYSTEMS[currentUnitSystem];
+}
+
+/**
+ * Converts a °F value to the active temperature unit, rounded.
+ * Returns "" for missing values so templates can print it directly.
+ */
+function formatTemp(tempF) {
+  if (tempF == null || !Number.isFinite(Number(tempF))) return "";
+  const t = Number(tempF);
+  return String(Math.round(getUnits().temp === "C" ? fahrenheitToCelsius(t) : t));
+}
+
+/** Converts a temperature difference in °F to the active unit, rounded (e.g. 9°F -> "5" in °C). */
+function formatTempDelta(deltaF) {
+  if (deltaF == null || !Number.isFinite(Number(deltaF))) return "";
+  const d = Number(deltaF);
+  return String(Math.round(getUnits().temp === "C" ? (d * 5) / 9 : d));
+}
+
+/** Reads a temperature typed in the active unit back into °F. */
+function displayTempToF(value) {
+  const v = Number(value);
+  if (!Number.isFinite(v)) return null;
+  return getUnits().temp === "C" ? (v * 9) / 5 + 32 : v;
+}
+
+function convertWindMph(mph) {
+  const unit = getUnits().wind;
+  if (unit === "km/h") return mphToKmh(mph);
+  if (unit === "m/s") return mphToMs(mph);
+  return mph;
+}
+
+/** Formats a wind speed in mph with the active unit, e.g. "12 km/h". */
+function formatWindMph(mph) {
+  if (mph == null || !Number.isFinite(Number(mph))) return "";
+  return `${Math.round(convertWindMph(Number(mph)))} ${getUnits().wind}`;
+}
+
+/**
+ * Re-expresses an NWS wind string ("5 to 10 mph", "10G20 mph", "15 km/h")
+ * in the active unit, keeping its shape.
+ */
+function formatWindSpeed(windSpeedStr) {
+  if (!windSpeedStr) return "";
+  const fromKmh = /km\/h/i.test(windSpeedStr);
+  return String(windSpeedStr)
+    .replace(/\d+(\.\d+)?/g, n => {
+      const mph = fromKmh ? kmhToMph(Number(n)) : Number(n);
+      return String(Math.round(convertWindMph(mph)));
+    })
+    .replace(/\s*(mph|km\/h)/i, " " + getUnits().wind);
+}
+
+/** Formats a precipitation amount in inches with the active unit, e.g. "0.25 in" or "6.4 mm". */
+function formatPrecip(inches) {
+  if (inches == null || !Number.isFinite(Number(inches))) return "";
+  const v = Number(inches);
+  return getUnits().precip === "mm"
+    ? `${inchesToMm(v).toFixed(1)} mm`
+    : `${v.toFixed(2)} in`;
+}
+
+/** Formats a pressure in inHg with the active unit, e.g. "30.01 inHg" or "1016 hPa". */
+function formatPressure(inHg) {
+  if (inHg == null || !Number.isFinite(Number(inHg))) return "";
+  const v = Number(inHg);
+  return getUnits().pressure === "hPa"
+    ? `${Math.round((v * PA_PER_INHG) / 100)} hPa`
+    : `${v.toFixed(2)} inHg`;
+}
+
+/** Formats a distance in miles with the active unit, e.g. "4 mi" or "6.4 km". */
+function formatDistanceMiles(miles) {
+  if (miles == null || !Number.isFinite(Number(miles))) return "";
+  const d = getUnits().distance === "km" ? Number(miles) * KM_PER_MILE : Number(miles);
+  return `${d < 10 ? d.toFixed(1) : Math.round(d)} ${getUnits().distance}`;
+}
+
+// opts.persist: false applies the units for this session only (e.g. from a shared link)
+function applyUnits(system, opts) {
+  if (!UNIT_SYSTEMS[system]) system = "imperial";
+  currentUnitSystem = system;
+  if (!opts || opts.persist !== false) localStorage.setItem('units', system);
+
+  Object.keys(UNIT_SYSTEMS).forEach(key => {
+    const btn = document.getElementById(`units-${key}`);
+    if (btn) btn.classList.toggle('active', key === system);
+  });
+
+  window.dispatchEvent(new CustomEvent('unitschange', { detail: { system } }));
+}
+
+function initUnits() {
+  const saved = localStorage.getItem('units') || 'imperial';
+  applyUnits(saved);
+
+  Object.keys(UNIT_SYSTEMS).forEach(key => {
+    const btn = document.getElementById(`units-${key}`);
+    if (btn) btn.addEventListener('click', () => applyUnits(key));
+  });
+
+  try { console.log(`Units initialized: ${currentUnitSystem}`); } catch (_) {}
+}
+
+window.initUnits = initUnits;
+window.applyUnits = applyUnits;
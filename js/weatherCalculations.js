@@ -1,23 +1,55 @@
 /**
  * Robust RealFeel (Apparent Temperature) helpers for NWS-style data
- * - Correct wind parsing ("5 to 10 mph" -> average 7.5)
- * - Proper heat index gating (T>=80 & RH>=40) + NWS adjustments
+ * - Correct wind parsing ("5 to 10 mph" -> average 7.5; "10G20 mph" -> 10, gusting 20)
+ * - Proper heat index gating (T>=80 & RH>=40) + NWS adjustments; no heat index without humidity
+ * - NWS gridpoint time series (ISO 8601 "start/duration" intervals) refine RealFeel,
+ *   humidity, dew point, gusts, sky cover and precipitation amounts
+ * - Station observations (/stations/{id}/observations/latest) condensed the same way
  * - Humidity clamped to [0,100]; wind >= 0
  * - Apparent temperature unit awareness when present
+ * - Calculations run in °F / mph; convert only for display (see units.js)
  */
 
 function clamp(n, min, max) {
   return Math.min(max, Math.max(min, n));
 }
 
+const KMH_PER_MPH = 1.609344;
+const KM_PER_MILE = 1.609344;
+const MS_PER_MPH = 0.44704;
+const MM_PER_INCH = 25.4;
+const PA_PER_INHG = 3386.389;
+
+function mphToKmh(mph) { return mph * KMH_PER_MPH; }
+function kmhToMph(kmh) { return kmh / KMH_PER_MPH; }
+function mphToMs(mph) { return mph * MS_PER_MPH; }
+function inchesToMm(inches) { return inches * MM_PER_INCH; }
+
+function fahrenheitToCelsius(tempF) {
+  return ((tempF - 32) * 5) / 9;
+}
+
+// Sustained wind from an NWS wind string, in mph
 function parseWindSpeedMph(windSpeedStr) {
   if (!windSpeedStr) return 0;
-  // Extract all numbers (handles "5 mph", "5 to 10 mph", "10G20 mph", "12-18 mph")
-  const nums = (windSpeedStr.match(/(\d+(\.\d+)?)/g) || []).map(Number);
+  // "10G20 mph": the number after G is the gust, not part of the sustained speed
+  const sustained = String(windSpeedStr).replace(/G\s*\d+(\.\d+)?/i, "");
+  // Extract all numbers (handles "5 mph", "5 to 10 mph", "12-18 mph")
+  const nums = (sustained.match(/(\d+(\.\d+)?)/g) || []).map(Number);
   if (nums.length === 0) return 0;
-  // For ranges/gusts, use the average of the numbers found
+  // For ranges, use the average of the numbers found
   const avg = nums.reduce((a, b) => a + b, 0) / nums.length;
-  return Math.max(0, avg);
+  // NWS sends "km/h" strings when SI units were requested
+  const mph = /km\/h/i.test(windSpeedStr) ? kmhToMph(avg) : avg;
+  return Math.max(0, mph);
+}
+
+// Gust from an NWS wind string ("10G20 mph" -> 20), in mph; null when none is given
+function parseWindGustMph(windSpeedStr) {
+  const m = /G\s*(\d+(\.\d+)?)/i.exec(windSpeedStr || "");
+  if (!m) return null;
+  const gust = Number(m[1]);
+  return /km\/h/i.test(windSpeedStr) ? kmhToMph(gust) : gust;
 }
 
 function calculateWindChill(tempF, windMph) {
@@ -65,24 +97,16 @@ function calculateHeatIndex(tempF, humidityPct) {
 function calculateRealFeel(tempF, windSpeedMph, humidityPct) {
   const T = Number(tempF);
   const W = Number(windSpeedMph);
-  const RH = Number.isFinite(humidityPct) ? humidityPct : 50;
+  const RH = Number(humidityPct);
 
   if (!Number.isFinite(T)) return NaN;
 
   if (T <= 50 && W >= 3) return calculateWindChill(T, W);
-  if (T >= 80 && RH >= 40) return calculateHeatIndex(T, RH);
+  // Guessing the humidity gets the heat index badly wrong; without it, use the air temperature
+  if (T >= 80 && Number.isFinite(RH) && RH >= 40) return calculateHeatIndex(T, clamp(RH, 0, 100));
   return T;
 }
 
-function toFahrenheit(value, unitCode) {
-  if (value == null || !Number.isFinite(value)) return null;
-  // NWS unit codes can look like "wmoUnit:degF" or "wmoUnit:degC"
-  if (unitCode && /degc/i.test(unitCode)) {
-    return (value * 9) / 5 + 32;
-  }
-  return value; // assume already °F
-}
-
 // Local helper to format date keys in this module
 function formatDateKeyLocal(dateLike) {
   const d = new Date(dateLike);
@@ -95,7 +119,232 @@ function formatDateKeyLocal(dateLike) {
   );
 }
 
-function getDailyRealFeelRange(periods) {
+/* ---------- NWS gridpoint time series (/gridpoints/{wfo}/{x},{y}) ---------- */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Layers we read from forecastGridData
+const GRID_LAYERS = [
+  "apparentTemperature",
+  "dewpoint",
+  "relativeHumidity",
+  "windGust",
+  "skyCover",
+  "quantitativePrecipitation"
+];
+
+// ISO 8601 duration ("PT1H", "P1DT6H", "PT30M") in milliseconds; NaN when unparseable
+function parseIsoDuration(str) {
+  const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(str || "");
+  if (!m || str === "P" || str === "PT") return NaN;
+  const [days, hours, minutes, seconds] = m.slice(1).map(n => Number(n) || 0);
+  return (((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+/**
+ * Parses a gridpoint validTime interval into epoch ms:
+ *   "2026-10-18T20:00:00+00:00/PT3H" -> { start, end }
+ * The part after "/" may also be an end timestamp. Returns null when invalid.
+ */
+function parseValidTime(validTime) {
+  const [startStr, rest] = String(validTime || "").split("/");
+  const start = Date.parse(startStr);
+  if (!Number.isFinite(start)) return null;
+
+  let end = start + HOUR_MS;
+  if (rest) {
+    const duration = parseIsoDuration(rest);
+    end = Number.isFinite(duration) ? start + duration : Date.parse(rest);
+  }
+  return Number.isFinite(end) && end > start ? { start, end } : null;
+}
+
+// Converts a gridpoint value to the units calculations use (°F, mph, inches, %)
+function gridValueToCanonical(value, unitCode) {
+  if (value == null || !Number.isFinite(value)) return null;
+  switch (String(unitCode || "").replace(/^wmoUnit:/, "")) {
+    case "degC": return (value * 9) / 5 + 32;
+    case "km_h-1": return kmhToMph(value);
+    case "m_s-1": return value / MS_PER_MPH;
+    case "mm": return value / MM_PER_INCH;
+    case "Pa": return value / PA_PER_INHG;
+    default: return value;   // degF, percent
+  }
+}
+
+/**
+ * Reads the gridpoint layers we use into sorted series of { start, end, value }:
+ *   { apparentTemperature, dewpoint, relativeHumidity, windGust, skyCover, quantitativePrecipitation }
+ * Returns null when there is no grid data.
+ */
+function parseGridData(gridJson) {
+  const props = gridJson && gridJson.properties;
+  if (!props) return null;
+
+  const grid = {};
+  GRID_LAYERS.forEach(name => {
+    const layer = props[name] || {};
+    const values = Array.isArray(layer.values) ? layer.values : [];
+    grid[name] = values
+      .map(entry => {
+        const span = parseValidTime(entry.validTime);
+        const value = gridValueToCanonical(entry.value, layer.uom);
+        return span && value != null ? { start: span.start, end: span.end, value } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.start - b.start);
+  });
+  return grid;
+}
+
+// Value of the interval covering time (epoch ms), or null
+function gridValueAt(series, time) {
+  const hit = (series || []).find(e => time >= e.start && time < e.end);
+  return hit ? hit.value : null;
+}
+
+// Intervals overlapping [start, end)
+function gridEntriesBetween(series, start, end) {
+  return (series || []).filter(e => e.start < end && e.end > start);
+}
+
+function maxOf(values) { return values.length ? Math.max(...values) : null; }
+function minOf(values) { return values.length ? Math.min(...values) : null; }
+function meanOf(values) { return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null; }
+function roundOrNull(v) { return v != null && Number.isFinite(v) ? Math.round(v) : null; }
+
+// Local midnight-to-midnight bounds of a YYYY-MM-DD key, in epoch ms
+function localDayBounds(dateKey) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return { start: new Date(y, m - 1, d).getTime(), end: new Date(y, m - 1, d + 1).getTime() };
+}
+
+/**
+ * Grid extras for one local date:
+ *   { dewpoint (max °F), peakGust (mph), skyCover (mean %), qpf (total inches) }
+ * Precipitation intervals that straddle midnight count in proportion to their overlap.
+ */
+function summarizeGridDay(grid, dateKey) {
+  const empty = { dewpoint: null, peakGust: null, skyCover: null, qpf: null };
+  if (!grid) return empty;
+  const { start, end } = localDayBounds(dateKey);
+  const values = name => gridEntriesBetween(grid[name], start, end).map(e => e.value);
+
+  const qpfEntries = gridEntriesBetween(grid.quantitativePrecipitation, start, end);
+  const qpf = qpfEntries.length
+    ? qpfEntries.reduce((sum, e) => {
+        const overlap = Math.min(end, e.end) - Math.max(start, e.start);
+        return sum + e.value * (overlap / (e.end - e.start));
+      }, 0)
+    : null;
+
+  return {
+    dewpoint: maxOf(values("dewpoint")),
+    peakGust: maxOf(values("windGust")),
+    skyCover: meanOf(values("skyCover")),
+    qpf
+  };
+}
+
+// A day counts as "wet" when its highest precipitation chance reaches this (%)
+const WET_DAY_THRESHOLD_PCT = 50;
+
+/**
+ * Reads probabilityOfPrecipitation from an NWS period as a 0-100 number.
+ * Returns null only when the period carries no precipitation field at all.
+ */
+function getPrecipChance(period) {
+  const pop = period && period.probabilityOfPrecipitation;
+  if (pop == null) return null;
+  const value = typeof pop === 'object' ? pop.value : pop;
+  return Number.isFinite(value) ? clamp(value, 0, 100) : 0;
+}
+
+/**
+ * Counts the dates in dateKeys whose daily precipChance reaches the wet-day threshold.
+ * Returns null when the location has no precipitation data for any of them.
+ */
+function countWetDays(dailyMap, dateKeys) {
+  let known = 0;
+  let wet = 0;
+  for (const key of dateKeys) {
+    const day = dailyMap && dailyMap[key];
+    if (!day || day.precipChance == null) continue;
+    known++;
+    if (day.precipChance >= WET_DAY_THRESHOLD_PCT) wet++;
+  }
+  return known ? wet : null;
+}
+
+/**
+ * Condenses one NWS forecast period ("Tuesday", "Tuesday Night") into what the
+ * daily cell shows for that half of the day.
+ * extras: { dewpoint, humidity, gust } from the grid or the period itself (any may be null)
+ */
+function summarizePeriod(period, tempF, realFeel, extras) {
+  extras = extras || {};
+  return {
+    name: period.name || "",
+    isDaytime: period.isDaytime !== false,
+    startTime: period.startTime,
+    endTime: period.endTime,
+    temperature: Number.isFinite(tempF) ? Math.round(tempF) : null,
+    realFeel: Number.isFinite(realFeel) ? Math.round(realFeel) : null,
+    icon: period.icon || null,
+    shortForecast: period.shortForecast || "",
+    detailedForecast: period.detailedForecast || "",
+    windSpeed: period.windSpeed || "",
+    windDirection: period.windDirection || "",
+    precipChance: getPrecipChance(period),
+    dewpoint: roundOrNull(extras.dewpoint),
+    humidity: roundOrNull(extras.humidity),
+    gust: roundOrNull(extras.gust)
+  };
+}
+
+// Reads a { value, unitCode } quantity from an NWS period into °F / % / mph
+function periodQuantity(q) {
+  if (q == null) return null;
+  return typeof q === "object" ? gridValueToCanonical(q.value, q.unitCode) : (Number.isFinite(q) ? q : null);
+}
+
+/**
+ * What we know about one forecast period beyond its headline numbers, preferring
+ * the period's own fields and falling back to the grid over its time span:
+ *   { apparentF, humidity, dewpoint, gust }
+ * apparentF is the grid's apparent temperature at its extreme for the period
+ * (max by day, min by night), or the period's own value when present.
+ */
+function periodConditions(period, grid) {
+  const start = Date.parse(period.startTime);
+  const end = Date.parse(period.endTime) || start + HOUR_MS;
+  const within = name => grid && Number.isFinite(start)
+    ? gridEntriesBetween(grid[name], start, end).map(e => e.value)
+    : [];
+
+  const gridApparent = within("apparentTemperature");
+  const apparentF = periodQuantity(period.apparentTemperature) ??
+    (period.isDaytime === false ? minOf(gridApparent) : maxOf(gridApparent));
+
+  const stringGust = parseWindGustMph(period.windSpeed);
+  const gridGust = maxOf(within("windGust"));
+
+  return {
+    apparentF,
+    humidity: periodQuantity(period.relativeHumidity) ?? meanOf(within("relativeHumidity")),
+    dewpoint: periodQuantity(period.dewpoint) ?? meanOf(within("dewpoint")),
+    gust: stringGust != null || gridGust != null ? Math.max(stringGust ?? 0, gridGust ?? 0) : null
+  };
+}
+
+/**
+ * Aggregates NWS forecast periods into a map keyed by local date (YYYY-MM-DD):
+ *   { high, low, realFeelHigh, realFeelLow, precipChance, dewpoint, peakGust, skyCover, qpf, day, night }
+ * where day/night are the summarized periods for each half (null if absent).
+ * grid: optional parseGridData() result; it supplies apparent temperature,
+ * humidity, dew point, gusts, sky cover and precipitation amounts.
+ */
+function getDailyRealFeelRange(periods, grid) {
   // Group periods by calendar date (LOCAL, not UTC)
   const daily = {};
   
@@ -107,40 +356,39 @@ function getDailyRealFeelRange(periods) {
       daily[date] = {
         realFeels: [],
         highs: [],
-        lows: []
+        lows: [],
+        pops: [],
+        day: null,
+        night: null
       };
     }
 
     // Temperature (°F)
     const tempF = Number(period.temperature);
-    // Wind speed (mph)
+    // Sustained wind speed (mph)
     const windMph = parseWindSpeedMph(period.windSpeed);
-    // Humidity (%)
-    const rh = clamp(period?.relativeHumidity?.value ?? 50, 0, 100);
-
-    // Prefer provided apparent temperature if present & in known units
-    let apparentF = null;
-    if (period.apparentTemperature != null) {
-      // Support either { value, unitCode } or plain number
-      if (typeof period.apparentTemperature === 'object') {
-        apparentF = toFahrenheit(
-          period.apparentTemperature.value,
-          period.apparentTemperature.unitCode
-        );
-      } else if (typeof period.apparentTemperature === 'number') {
-        apparentF = period.apparentTemperature; // assume °F
-      }
-    }
+    // Precipitation chance (%); NWS sends null instead of 0 for "no chance"
+    const pop = getPrecipChance(period);
+    // Humidity, dew point, gusts and apparent temperature (period first, then grid)
+    const cond = periodConditions(period, grid);
 
-    const realFeel = Number.isFinite(apparentF)
-      ? apparentF
-      : calculateRealFeel(tempF, windMph, rh);
+    // Prefer the NWS apparent temperature; otherwise compute it
+    const realFeel = Number.isFinite(cond.apparentF)
+      ? cond.apparentF
+      : calculateRealFeel(tempF, windMph, cond.humidity);
 
     if (Number.isFinite(realFeel)) daily[date].realFeels.push(realFeel);
     if (Number.isFinite(tempF)) {
       daily[date].highs.push(tempF);
       daily[date].lows.push(tempF);
     }
+    if (pop != null) daily[date].pops.push(pop);
+
+    // Keep the day and night halves as separate periods (first one wins)
+    const half = period.isDaytime === false ? "night" : "day";
+    if (!daily[date][half]) {
+      daily[date][half] = summarizePeriod(period, tempF, realFeel, cond);
+    }
   });
 
   const result = {};
@@ -148,14 +396,137 @@ function getDailyRealFeelRange(periods) {
     const rf = daily[date].realFeels;
     const hs = daily[date].highs;
     const ls = daily[date].lows;
+    const ps = daily[date].pops;
+    const extra = summarizeGridDay(grid, date);
+    const halfGusts = [daily[date].day, daily[date].night].map(h => h && h.gust).filter(g => g != null);
+    const peakGust = maxOf(halfGusts.concat(extra.peakGust != null ? [extra.peakGust] : []));
 
     result[date] = {
       realFeelHigh: rf.length ? Math.round(Math.max(...rf)) : null,
       realFeelLow:  rf.length ? Math.round(Math.min(...rf)) : null,
       high: hs.length ? Math.round(Math.max(...hs)) : null,
-      low:  ls.length ? Math.round(Math.min(...ls)) : null
+      low:  ls.length ? Math.round(Math.min(...ls)) : null,
+      precipChance: ps.length ? Math.round(Math.max(...ps)) : null,
+      dewpoint: roundOrNull(extra.dewpoint),
+      peakGust: roundOrNull(peakGust),
+      skyCover: roundOrNull(extra.skyCover),
+      qpf: extra.qpf,
+      day: daily[date].day,
+      night: daily[date].night
     };
   });
 
   return result;
 }
+
+/**
+ * Groups NWS hourly periods by local calendar date for the hourly drill-down.
+ * Each hour keeps its own conditions plus RealFeel (the grid's apparent
+ * temperature when available, else computed).
+ */
+function getHourlyByDate(periods, grid) {
+  const byDate = {};
+
+  (periods || []).forEach(period => {
+    const date = formatDateKeyLocal(period.startTime);
+    if (!byDate[date]) byDate[date] = [];
+
+    const tempF = Number(period.temperature);
+    const windMph = parseWindSpeedMph(period.windSpeed);
+    const cond = periodConditions(period, grid);
+    const realFeel = Number.isFinite(cond.apparentF)
+      ? cond.apparentF
+      : calculateRealFeel(tempF, windMph, cond.humidity);
+
+    byDate[date].push({
+      startTime: period.startTime,
+      hour: new Date(period.startTime).getHours(),
+      temperature: Number.isFinite(tempF) ? Math.round(tempF) : null,
+      realFeel: Number.isFinite(realFeel) ? Math.round(realFeel) : null,
+      windSpeed: period.windSpeed || "",
+      windDirection: period.windDirection || "",
+      precipChance: getPrecipChance(period),
+      dewpoint: roundOrNull(cond.dewpoint),
+      humidity: roundOrNull(cond.humidity),
+      gust: roundOrNull(cond.gust),
+      shortForecast: period.shortForecast || "",
+      icon: period.icon || null
+    });
+  });
+
+  return byDate;
+}
+
+
+/* ---------- Station observations (/stations/{id}/observations/latest) ---------- */
+
+const EARTH_RADIUS_MI = 3958.8;
+const COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+// Great-circle distance between two coordinates, in miles
+function distanceMiles(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MI * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// 270 -> "W"; null when the direction is unknown (calm or variable)
+function degreesToCompass(deg) {
+  if (deg == null || !Number.isFinite(deg)) return null;
+  return COMPASS_POINTS[Math.round((((deg % 360) + 360) % 360) / 22.5) % 16];
+}
+
+// An observation quantity ({ unitCode, value }) in °F / mph / inHg; null when missing
+function observationQuantity(q) {
+  return q && q.value != null ? gridValueToCanonical(Number(q.value), q.unitCode) : null;
+}
+
+/**
+ * Condenses an observation's properties into what the "Now" row shows:
+ *   { timestamp, text, icon, temperature, realFeel, humidity, dewpoint,
+ *     windSpeed, windDirection, gust, pressure }
+ * in °F / mph / inHg. RealFeel is computed, like for forecast periods.
+ */
+function summarizeObservation(props) {
+  props = props || {};
+  const tempF = observationQuantity(props.temperature);
+  const humidity = observationQuantity(props.relativeHumidity);
+  const windMph = observationQuantity(props.windSpeed);
+  const pressure = observationQuantity(props.barometricPressure) ?? observationQuantity(props.seaLevelPressure);
+
+  const realFeel = Number.isFinite(tempF)
+    ? calculateRealFeel(tempF, windMph || 0, Number.isFinite(humidity) ? humidity : null)
+    : null;
+
+  return {
+    timestamp: props.timestamp || null,
+    text: props.textDescription || "",
+    icon: props.icon || null,
+    temperature: roundOrNull(tempF),
+    realFeel: roundOrNull(realFeel),
+    humidity: roundOrNull(humidity),
+    dewpoint: roundOrNull(observationQuantity(props.dewpoint)),
+    windSpeed: roundOrNull(windMph),
+    windDirection: degreesToCompass(observationQuantity(props.windDirection)),
+    gust: roundOrNull(observationQuantity(props.windGust)),
+    pressure: pressure != null ? Math.round(pressure * 100) / 100 : null
+  };
+}
+
+/**
+ * The hourly forecast temperature (°F) nearest to a moment, from getHourlyByDate
+ * output; null when no forecast hour is within an hour of it.
+ */
+function forecastTempAt(hourlyData, time) {
+  const t = new Date(time).getTime();
+  if (!hourlyData || !Number.isFinite(t)) return null;
+
+  let best = null;
+  Object.values(hourlyData).forEach(hours => (hours || []).forEach(h => {
+    const diff = Math.abs(Date.parse(h.startTime) - t);
+    if (h.temperature != null && diff <= HOUR_MS && (!best || diff < best.diff)) best = { diff, temp: h.temperature };
+  }));
+  return best ? best.temp : null;
+}
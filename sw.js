@@ -0,0 +1,159 @@
+/* ==========================================================
+   sw.js — offline support for Weather Compare
+   - Precaches the app shell (bump SHELL_VERSION when SHELL_FILES change)
+   - NWS / geocoding JSON: network-first, falls back to the last good copy
+     tagged with an X-SW-Fetched-At header so the page can say "data as of …";
+     copies older than MAX_DATA_AGE_MS, or beyond MAX_DATA_ENTRIES, are dropped
+   - NWS condition icons: cache-first; the page loads them with
+     crossorigin="anonymous" so the responses are CORS, not opaque
+   ========================================================== */
+
+const SHELL_VERSION = "v12";
+const SHELL_CACHE = `wc-shell-${SHELL_VERSION}`;
+const DATA_CACHE = "wc-data-v1";
+const ICON_CACHE = "wc-icons-v2";   // v1 held opaque responses
+const MAX_ICON_ENTRIES = 120;
+const MAX_DATA_ENTRIES = 200;
+const MAX_DATA_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const DATA_TRIM_INTERVAL_MS = 60 * 1000;
+
+let lastDataTrimAt = 0;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "css/styles.css",
+  "js/weatherCalculations.js",
+  "js/units.js",
+  "js/cache.js",
+  "js/locationStore.js",
+  "js/api.js",
+  "js/geolocation.js",
+  "js/alerts.js",
+  "js/status.js",
+  "js/compare.js",
+  "js/ui.js",
+  "js/charts.js",
+  "js/export.js",
+  "js/locationSets.js",
+  "js/itinerary.js",
+  "js/autocomplete.js",
+  "js/app.js"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [SHELL_CACHE, DATA_CACHE, ICON_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isIconRequest(url) {
+  return url.hostname === "api.weather.gov" && url.pathname.startsWith("/icons/");
+}
+
+function isDataRequest(url) {
+  return url.hostname === "api.weather.gov" || url.hostname === "nominatim.openstreetmap.org";
+}
+
+async function trimCache(name, maxEntries) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - maxEntries; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+// Drops offline copies too old to be worth showing, then the oldest beyond the limit
+async function trimDataCache() {
+  const cache = await caches.open(DATA_CACHE);
+  const cutoff = Date.now() - MAX_DATA_AGE_MS;
+  for (const request of await cache.keys()) {
+    const resp = await cache.match(request);
+    const fetchedAt = Date.parse(resp && resp.headers.get("X-SW-Fetched-At"));
+    if (!(fetchedAt >= cutoff)) await cache.delete(request);
+  }
+  await trimCache(DATA_CACHE, MAX_DATA_ENTRIES);
+}
+
+// Shell: answer from cache at once, refresh the copy in the background
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request, { ignoreSearch: event.request.mode === "navigate" });
+  const network = fetch(event.request)
+    .then(resp => {
+      if (resp.ok) cache.put(event.request, resp.clone());
+      return resp;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  return (await network) || Response.error();
+}
+
+async function networkFirstData(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const resp = await fetch(request);
+    if (resp.ok) {
+      const headers = new Headers(resp.headers);
+      headers.set("X-SW-Fetched-At", new Date().toISOString());
+      const body = await resp.clone().blob();
+      await cache.put(request, new Response(body, { status: resp.status, statusText: resp.statusText, headers }));
+      if (Date.now() - lastDataTrimAt > DATA_TRIM_INTERVAL_MS) {
+        lastDataTrimAt = Date.now();
+        trimDataCache();
+      }
+    }
+    return resp;
+  } catch (err) {
+    // Conditional headers would never match our stored copy; look it up by URL only
+    const cached = await cache.match(request.url, { ignoreVary: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirstIcon(request) {
+  const cache = await caches.open(ICON_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const resp = await fetch(request);
+  // Never store opaque responses: they can't be checked and each costs far
+  // more quota than its size (icons are requested with CORS, so they're ok)
+  if (resp.ok) {
+    await cache.put(request, resp.clone());
+    trimCache(ICON_CACHE, MAX_ICON_ENTRIES);
+  }
+  return resp;
+}
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (isIconRequest(url)) {
+    event.respondWith(cacheFirstIcon(request));
+  } else if (isDataRequest(url)) {
+    event.respondWith(networkFirstData(request));
+  }
+});